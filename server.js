@@ -11,6 +11,9 @@ const http = require('http');
 const https = require('https');
 const { Server } = require('socket.io');
 const cors = require('cors');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 
 // Debug logging - set DEBUG=true env var to enable verbose server logs
 const DEBUG = process.env.DEBUG === 'true';
@@ -40,20 +43,29 @@ const io = new Server(server, {
 
 // Store connected players by map
 // Structure: { mapId: { odId: playerData } }
-const maps = {};
+const maps = Object.create(null);
 
 // Store player socket mapping
 // Structure: { odId: socketId }
-const playerSockets = {};
+const playerSockets = Object.create(null);
+
+// Players who disconnected and are inside the reconnect grace window
+// Their map entry stays in place (marked 'reconnecting') until they resume or the timer expires
+// Structure: { odId: { player, mapId, timer } }
+const pendingReconnects = Object.create(null);
 
 // Store monsters by map
 // Structure: { mapId: { monsterId: monsterData } }
-const mapMonsters = {};
+const mapMonsters = Object.create(null);
 
 // Store damage tracking for loot distribution
 // Structure: { monsterId: { odId: totalDamage } }
 const monsterDamage = {};
 
+// Threat tables for monster targeting (decays over time, cleaned up alongside monsterDamage)
+// Structure: { monsterId: { odId: threat } }
+const monsterThreat = {};
+
 // Monster AI update interval
 let monsterAIInterval = null;
 
@@ -71,6 +83,16 @@ const CONFIG = {
     BOSS_RESPAWN_TIME: 300000, // Boss respawn time (5 minutes)
     MONSTER_SPEED: 0.8, // Base monster movement speed
     PATROL_CHANGE_CHANCE: 0.02, // Chance to change direction per update
+    PLAYER_WIDTH: 30, // Player hitbox width (pixels)
+    PLAYER_HEIGHT: 60, // Player hitbox height (pixels)
+    MAX_PLAYER_HP: 500000, // Upper bound on any player HP value (client reports and HEALTH_MODEL)
+    PLAYER_INVINCIBILITY_TIME: 1500, // ms of invulnerability after taking a hit
+    MAX_CLIENT_HEAL_PER_SECOND: 0.5, // Fraction of maxHp a client may report healing per second (potions, regen)
+    RECONNECT_GRACE_PERIOD: 30000, // ms a disconnected player keeps their slot before being removed
+    LOOT_OWNERSHIP_TIME: 30000, // ms monster drops are reserved for the loot recipient and their party
+    GROUND_ITEM_LIFETIME: 120000, // ms before an item left on the ground despawns
+    MAX_GROUND_ITEMS_PER_MAP: 200, // Oldest items despawn early once a map exceeds this (player drops first)
+    MAX_PLAYER_DROPS_PER_MAP: 50, // Separate cap on player drops, so drop spam can't push out monster loot
     
     // Anti-cheat configuration
     MAX_DAMAGE_PER_HIT: 50000, // Maximum reasonable damage per hit (high level + crits)
@@ -79,10 +101,50 @@ const CONFIG = {
     RATE_LIMIT_WINDOW: 1000, // Rate limit window in ms
     MAX_POSITION_UPDATES_PER_SECOND: 30, // Max position updates per second
     MAX_TELEPORT_DISTANCE: 2000, // Max distance player can move in one update (pixels)
-    
+    MAX_PLAYER_SPEED: 1000, // Max sustained player movement (pixels per second, includes buffs and falling)
+    MOVEMENT_TOLERANCE: 150, // Extra pixels allowed per update to absorb latency jitter
+    MOVEMENT_GRACE_PERIOD: 3000, // ms after a respawn on a map without server spawn points where any position is accepted
+    PICKUP_RADIUS: 150, // Max horizontal distance (pixels) between player center and a ground item
+    PICKUP_VERTICAL_RANGE: 400, // Max vertical distance - items fall from where they dropped, the server only knows the drop point
+    ATTACK_REACH: { // Max distance (pixels) from player center to the monster's edge, by attackMonster attackType
+        melee: 150,
+        ranged: 650,
+        magic: 600,
+        summon: 800,
+        taunt: 400
+    },
+    DEFAULT_ATTACK_REACH: 650, // For attack types not listed above
+    ATTACK_RANGE_TOLERANCE: 100, // Extra reach to absorb latency between position updates and attacks
+
     // GM Authentication - MUST set GM_PASSWORD environment variable on Render/hosting platform.
     // GM mode is DISABLED if the env var is not set.
-    GM_PASSWORD: process.env.GM_PASSWORD || null
+    GM_PASSWORD: process.env.GM_PASSWORD || null,
+    
+    // Session tokens - SESSION_SECRET must match the account service that issues tokens.
+    // A random secret is generated if unset, so tokens do not survive a server restart.
+    SESSION_SECRET: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+    SESSION_TOKEN_TTL: 12 * 60 * 60 * 1000, // 12 hours
+    // Key required by the local POST /auth/token endpoint. The endpoint is disabled if unset.
+    TOKEN_ISSUER_KEY: process.env.TOKEN_ISSUER_KEY || null,
+    // Tokens are only required when something can issue them: the account service (SESSION_SECRET)
+    // or the local endpoint (TOKEN_ISSUER_KEY). With neither set, join/rejoin/changeMap/resume skip the check.
+    REQUIRE_SESSION_TOKENS: !!(process.env.SESSION_SECRET || process.env.TOKEN_ISSUER_KEY),
+    
+    // What to do when a character that is already online joins from another socket:
+    // 'replace' kicks the existing session, 'reject' refuses the newcomer
+    DUPLICATE_LOGIN_POLICY: process.env.DUPLICATE_LOGIN_POLICY === 'reject' ? 'reject' : 'replace',
+    
+    // Set when running behind a reverse proxy (Render, nginx) so client IPs come from X-Forwarded-For
+    TRUST_PROXY: process.env.TRUST_PROXY === 'true',
+    
+    // What to do when a player drops an item or gold the provenance ledger has no record of them holding:
+    // 'flag' lets the drop through and records it for GM review, 'refuse' rejects it
+    ITEM_PROVENANCE_POLICY: process.env.ITEM_PROVENANCE_POLICY === 'refuse' ? 'refuse' : 'flag',
+    
+    // Server state that must survive restarts (EXP ledger, ...) is written here
+    STORAGE_DIR: process.env.STORAGE_DIR || path.join(__dirname, 'storage'),
+    // Seed new EXP ledger entries from the level/EXP the client reports on join (set to 'false' for a fresh world)
+    EXP_LEDGER_IMPORT_CLIENT_LEVEL: process.env.EXP_LEDGER_IMPORT_CLIENT_LEVEL !== 'false'
 };
 
 // Authorized GM sessions (socket IDs that have been authenticated)
@@ -90,24 +152,37 @@ const authorizedGMs = new Set();
 
 // Rate limiting trackers
 // Structure: { odId: { attacks: [{timestamp}], pickups: [{timestamp}], positions: [{timestamp, x, y}] } }
-const rateLimiters = {};
+const rateLimiters = Object.create(null);
+
+// Last accepted position per player for movement validation
+// Structure: { odId: { x, y, timestamp, graceUntil } }
+const playerMovement = Object.create(null);
+
+// Anti-cheat violation counters (kept across reconnects so repeat offenders can be acted on)
+// Structure: { odId: { total, byType: { type: count }, lastViolationTime, score, scoreUpdatedAt, level } }
+const playerViolations = Object.create(null);
+
+// Recent hits per player for outlier and crit rate detection
+// Structure: { odId: { ratios: [fraction of expected max], crits: [hit above the non-critical max] } }
+const damageSamples = Object.create(null);
 
 // ============================================
 // CHESS GAME MATCHMAKING
 // ============================================
 // Players waiting for a chess match per map
 // Structure: { mapId: { socketId, playerName, gameId } }
-const chessWaiting = {};
+const chessWaiting = Object.create(null);
 // Active chess games
 // Structure: { gameId: { whiteSocketId, blackSocketId, whiteName, blackName } }
-const chessGames = {};
+const chessGames = Object.create(null);
 
 // ============================================
 // SERVER-SIDE SHINY & ELITE MONSTER CONFIG
 // ============================================
 const SHINY_CONFIG = {
     spawnChance: 0.02, // 2% chance on each monster spawn
-    hpMultiplier: 3    // 3x HP (visuals/loot handled client-side)
+    hpMultiplier: 3,   // 3x HP (visuals/loot handled client-side)
+    expMultiplier: 3   // 3x EXP
 };
 
 const ELITE_CONFIG = {
@@ -116,15 +191,24 @@ const ELITE_CONFIG = {
     spawnChance: 0.3,                  // 30% chance per check
     hpMultiplier: 100,                 // 100x HP
     damageMultiplier: 3,               // 3x damage
+    expMultiplier: 20,                 // 20x EXP
     excludedMapPrefixes: ['dewdrop', 'pq'] // Don't spawn on tutorial/party quest maps
 };
 
 // Track current elite monsters per map (only one per map)
-const currentEliteMonsters = {};
+const currentEliteMonsters = Object.create(null);
 
 // Track ground items per map for pickup validation (prevents double-pickup duplication)
-// Structure: { mapId: { itemId: { name, x, y, droppedBy, timestamp } } }
-const mapGroundItems = {};
+// Structure: { mapId: { itemId: { name, x, y, amount, monsterId, provenanceId, droppedBy, ownerId, ownerPartyId, reservedUntil, expiresAt, timestamp } } }
+const mapGroundItems = Object.create(null);
+
+// Party loot settings chosen by each party's leader
+// Structure: { partyId: { mode, rrIndex } }
+const partyLoot = Object.create(null);
+
+// Need/greed rolls in progress
+// Structure: { rollId: { partyId, mapId, itemId, itemName, eligible: [odId], choices: { odId: choice }, timer } }
+const partyLootRolls = {};
 
 // Elite check timer
 let eliteCheckInterval = null;
@@ -157,818 +241,4876 @@ function checkRateLimit(odId, action, limit) {
     return true;
 }
 
-/**
- * Validate damage value is reasonable
- * @returns {number} Clamped damage value
- */
-function validateDamage(damage, attackerId) {
-    if (typeof damage !== 'number' || isNaN(damage) || damage < 0) {
-        console.warn(`[Security] Invalid damage value from ${attackerId}: ${damage}`);
-        return 0;
-    }
-    
-    if (damage > CONFIG.MAX_DAMAGE_PER_HIT) {
-        console.warn(`[Security] Suspicious damage from ${attackerId}: ${damage} (capped to ${CONFIG.MAX_DAMAGE_PER_HIT})`);
-        return CONFIG.MAX_DAMAGE_PER_HIT;
+// Expected max damage per normal hit =
+//   (class base + perLevel * level + gear attack * gearAttackWeight + gear primary stat * gearStatWeight)
+//   * attackType multiplier * headroom
+// Any hit may be a critical, so hits are capped to critMultiplier times that and rejected above
+// rejectFactor times the cap. The client's isCritical flag is not trusted: hits above the normal
+// max count as crits, and a crit rate well above the class's critChance is a violation.
+const DAMAGE_MODEL = {
+    classes: {
+        beginner: { base: 20, perLevel: 6, stat: 'str', critChance: 0.05 },
+        warrior: { base: 30, perLevel: 14, stat: 'str', critChance: 0.1 },
+        magician: { base: 30, perLevel: 16, stat: 'int', critChance: 0.1 },
+        bowman: { base: 30, perLevel: 13, stat: 'dex', critChance: 0.15 },
+        thief: { base: 30, perLevel: 13, stat: 'luk', critChance: 0.25 },
+        pirate: { base: 30, perLevel: 14, stat: 'str', critChance: 0.15 }
+    },
+    attackTypes: {
+        melee: 1,
+        ranged: 1,
+        magic: 1.5,
+        skill: 3,
+        summon: 1.5,
+        taunt: 0.5
+    },
+    defaultAttackTypeMultiplier: 1, // Attacks without an attackType are treated as a basic attack
+    gearAttackWeight: 4,
+    gearStatWeight: 1.5,
+    maxGearAttackPerLevel: 10,      // Client-reported gear is trusted only up to this much attack per level
+    maxGearStatPerLevel: 15,
+    critMultiplier: 2,
+    headroom: 1.5,                  // Buffs, potions and formula differences
+    rejectFactor: 3,
+    outlierWindow: 50,              // Hits kept per player
+    outlierMinSamples: 10,
+    outlierZScore: 4,               // Log hits this many standard deviations above the player's recent mean
+    outlierMinStdDev: 0.1,          // Keeps very consistent hitters from flagging every crit
+    critMinSamples: 30              // Hits needed before the crit rate is judged
+};
+
+function sumGearStats(player, stat) {
+    let attack = 0;
+    let primary = 0;
+    for (const item of Object.values(player.equipped || {})) {
+        if (!item || typeof item !== 'object' || !item.stats) continue;
+        if ((item.levelReq || 0) > player.level) continue; // Can't be wearing it legitimately
+        attack += (Number(item.stats.attack) || 0) + (Number(item.stats.magicAttack) || 0);
+        primary += Number(item.stats[stat]) || 0;
     }
-    
-    return Math.floor(damage);
+    return {
+        attack: Math.min(Math.max(0, attack), DAMAGE_MODEL.maxGearAttackPerLevel * player.level),
+        primary: Math.min(Math.max(0, primary), DAMAGE_MODEL.maxGearStatPerLevel * player.level)
+    };
+}
+
+function getDamageClassModel(player) {
+    return Object.hasOwn(DAMAGE_MODEL.classes, player.playerClass)
+        ? DAMAGE_MODEL.classes[player.playerClass]
+        : DAMAGE_MODEL.classes.beginner;
 }
 
 /**
- * Clean up rate limiter data for disconnected players
+ * Highest damage a player could plausibly deal in one hit of an attack type
+ * @returns {{ normal: number, critical: number }} Max for a normal hit and for a critical hit
  */
-function cleanupRateLimiter(odId) {
-    delete rateLimiters[odId];
+function getExpectedMaxDamage(player, attackType) {
+    const classModel = getDamageClassModel(player);
+    const gear = sumGearStats(player, classModel.stat);
+    const attackTypeMultiplier = Object.hasOwn(DAMAGE_MODEL.attackTypes, attackType)
+        ? DAMAGE_MODEL.attackTypes[attackType]
+        : DAMAGE_MODEL.defaultAttackTypeMultiplier;
+    const base = classModel.base + classModel.perLevel * (player.level || 1) +
+        gear.attack * DAMAGE_MODEL.gearAttackWeight + gear.primary * DAMAGE_MODEL.gearStatWeight;
+    const normal = Math.ceil(base * attackTypeMultiplier * DAMAGE_MODEL.headroom);
+    return {
+        normal: Math.min(CONFIG.MAX_DAMAGE_PER_HIT, normal),
+        critical: Math.min(CONFIG.MAX_DAMAGE_PER_HIT, Math.ceil(normal * DAMAGE_MODEL.critMultiplier))
+    };
 }
 
-// Map spawn definitions - will be received from clients
-// Structure: { mapId: { monsters: [{type, count}], spawners: [{type, maxCount}] } }
-const mapSpawnData = {};
-
 /**
- * Initialize monsters for a map when first player joins
- * Uses pre-calculated spawn positions from client if available
+ * Track a hit against the player's recent hits, log statistical outliers and check the crit rate
+ * Outliers are only logged - a lucky hit is not proof of cheating, but patterns show up in the logs.
+ * Critting far more often than the class can (binomial z-score) is recorded as a violation.
  */
-function initializeMapMonsters(mapId, mapData) {
-    if (mapMonsters[mapId]) return; // Already initialized
-    
-    mapMonsters[mapId] = {};
-    mapSpawnData[mapId] = mapData;
-    
-    if (!mapData || !mapData.monsters) return;
-    
-    console.log(`[Server] Initializing monsters for map ${mapId}`);
-    
-    // If client sent pre-calculated positions, use those
-    if (mapData.spawnPositions && mapData.spawnPositions.length > 0) {
-        console.log(`[Server] Using ${mapData.spawnPositions.length} pre-calculated spawn positions`);
-        for (const pos of mapData.spawnPositions) {
-            spawnMonster(mapId, pos.type, {
-                ...mapData,
-                x: pos.x,
-                y: pos.y,
-                // Pass surface bounds from spawn position for proper patrol limits
-                surfaceX: pos.surfaceX,
-                surfaceWidth: pos.surfaceWidth
-            });
-        }
-    } else {
-        // Fallback: spawn at random positions (old behavior)
-        for (const spawner of mapData.monsters) {
-            const count = spawner.count || 5;
-            for (let i = 0; i < count; i++) {
-                spawnMonster(mapId, spawner.type, mapData);
-            }
+function recordDamageSample(player, ratio, damage, isCritRange) {
+    const samples = damageSamples[player.odId] || (damageSamples[player.odId] = { ratios: [], crits: [] });
+    const ratios = samples.ratios;
+    if (ratios.length >= DAMAGE_MODEL.outlierMinSamples) {
+        const mean = ratios.reduce((sum, r) => sum + r, 0) / ratios.length;
+        const stdDev = Math.max(DAMAGE_MODEL.outlierMinStdDev,
+            Math.sqrt(ratios.reduce((sum, r) => sum + (r - mean) ** 2, 0) / ratios.length));
+        const zScore = (ratio - mean) / stdDev;
+        if (zScore > DAMAGE_MODEL.outlierZScore) {
+            console.warn(`[Security] Damage outlier from ${player.odId}: ${damage} damage is ${zScore.toFixed(1)} std devs above their last ${ratios.length} hits`);
         }
     }
+    ratios.push(ratio);
+    if (ratios.length > DAMAGE_MODEL.outlierWindow) ratios.shift();
     
-    // Start monster AI if not already running
-    startMonsterAI();
-    
-    // Start elite monster check system if not already running
-    startEliteCheckSystem();
+    samples.crits.push(isCritRange);
+    if (samples.crits.length > DAMAGE_MODEL.outlierWindow) samples.crits.shift();
+    const hits = samples.crits.length;
+    if (isCritRange && hits >= DAMAGE_MODEL.critMinSamples) {
+        const critChance = getDamageClassModel(player).critChance;
+        const crits = samples.crits.filter(Boolean).length;
+        const expected = hits * critChance;
+        if (crits > expected + DAMAGE_MODEL.outlierZScore * Math.sqrt(expected * (1 - critChance))) {
+            recordViolation(player.odId, 'crit_rate', `${crits} of the last ${hits} hits above the non-critical max, expected about ${Math.round(expected)}`);
+        }
+    }
 }
 
 /**
- * Spawn a new monster on a map (position can be provided by client)
+ * Validate damage against the plausibility model for the attacking player
+ * @returns {{ damage: number, capped: boolean, rejected: boolean, expectedMax?: number }}
  */
-function spawnMonster(mapId, type, spawnerData = {}) {
-    const monsterId = `m_${nextMonsterId++}`;
-    const mapWidth = spawnerData.mapWidth || mapSpawnData[mapId]?.mapWidth || 1366;
-    const groundY = spawnerData.groundY || mapSpawnData[mapId]?.groundY || 300;
-    
-    // Get monster type data from stored data
-    const monsterTypeData = mapSpawnData[mapId]?.monsterTypes?.[type] || {};
-    
-    if (DEBUG) console.log(`[Server] Spawning ${type} - canJump: ${monsterTypeData.canJump}, jumpForce: ${monsterTypeData.jumpForce}, monsterTypeData keys:`, Object.keys(monsterTypeData));
-    
-    const maxHp = monsterTypeData.hp || spawnerData.maxHp || 100;
-    const speed = monsterTypeData.speed || CONFIG.MONSTER_SPEED;
-    const monsterHeight = monsterTypeData.height || 40;
-    
-    // Use provided spawn position or generate random
-    const x = spawnerData.x !== undefined ? spawnerData.x : Math.random() * (mapWidth - 100) + 50;
-    // CRITICAL: Always use client-provided Y position if available, as it accounts for anchor points
-    // Client calculates: spawnY = surfaceY - anchorY - groundOffset
-    // If not provided, fall back to simple ground calculation
-    const y = spawnerData.y !== undefined ? spawnerData.y : groundY - monsterHeight - 3;
-    
-    const direction = Math.random() > 0.5 ? 1 : -1;
-    
-    // Determine AI type - static monsters don't move
-    const aiType = monsterTypeData.aiType || 'patrolling';
-    
-    const monster = {
-        id: monsterId,
-        type: type,
-        x: x,
-        y: y,
-        hp: maxHp,
-        maxHp: maxHp,
-        direction: direction,
-        facing: direction === 1 ? 'right' : 'left',
-        aiState: aiType === 'static' ? 'idle' : 'patrolling',
-        aiType: aiType,
-        velocityX: 0,
-        velocityY: 0,
-        speed: speed,
-        isDead: false,
-        isMiniBoss: monsterTypeData.isMiniBoss || false,
-        isEliteMonster: false, // Elites are created by client transformation
-        isTrialBoss: false,
-        width: monsterTypeData.width || 40,
-        height: monsterHeight,
-        mapWidth: mapWidth,
-        groundY: groundY, // Store the surface ground level (not spawn Y)
-        spawnTime: Date.now(),
-        lastUpdate: Date.now(),
-        // Store spawn info for proper respawning
-        spawnX: x,
-        spawnY: y,
-        // Store surface X and width for patrol bounds preservation
-        patrolSurfaceX: spawnerData.surfaceX,
-        patrolSurfaceWidth: spawnerData.surfaceWidth,
-        // Elite monster properties (set when transformed)
-        originalMaxHp: null,
-        originalDamage: null,
-        // Jumping properties
-        canJump: monsterTypeData.canJump || false,
-        jumpForce: monsterTypeData.jumpForce || -8,
-        isJumping: false,
-        // Aggro detection
-        aggroRange: monsterTypeData.isMiniBoss ? 350 : 250, // Detection range for aggro
-        chaseStartTime: 0
-    };
-    
-    // Calculate patrol bounds based on platform/structure bounds if provided, otherwise use spawn position
-    // Use 50px buffer from edges to prevent monsters from walking off platforms
-    const EDGE_BUFFER = 50;
-    const MIN_PATROL_DISTANCE = 80; // Minimum patrol range to prevent stuck flipping
-    
-    if (spawnerData.surfaceX !== undefined && spawnerData.surfaceWidth !== undefined) {
-        const surfaceLeft = spawnerData.surfaceX + EDGE_BUFFER;
-        const surfaceRight = spawnerData.surfaceX + spawnerData.surfaceWidth - EDGE_BUFFER;
-        const surfacePatrolWidth = surfaceRight - surfaceLeft;
-        
-        if (surfacePatrolWidth >= MIN_PATROL_DISTANCE) {
-            // Normal case: surface is wide enough for patrol
-            monster.patrolMinX = Math.max(0, surfaceLeft);
-            monster.patrolMaxX = Math.min(mapWidth - EDGE_BUFFER, surfaceRight);
-        } else {
-            // Surface too narrow - just stand still in the center
-            const center = spawnerData.surfaceX + spawnerData.surfaceWidth / 2;
-            monster.patrolMinX = center - 10;
-            monster.patrolMaxX = center + 10;
-            monster.aiState = 'idle'; // Start as idle since can't patrol
-        }
-    } else {
-        // Fallback: patrol around spawn position
-        monster.patrolMinX = Math.max(0, x - 150);
-        monster.patrolMaxX = Math.min(mapWidth - EDGE_BUFFER, x + 150);
+function validateDamage(damage, player, attackType) {
+    const attackerId = player.odId;
+    if (typeof damage !== 'number' || isNaN(damage) || damage < 0) {
+        console.warn(`[Security] Invalid damage value from ${attackerId}: ${damage}`);
+        return { damage: 0, capped: false, rejected: true };
     }
     
-    mapMonsters[mapId][monsterId] = monster;
-    monsterDamage[monsterId] = {};
-    
-    // Server-side shiny roll: 2% chance for eligible monsters
-    if (!monster.isMiniBoss && !monster.isTrialBoss && monster.type !== 'testDummy') {
-        const isExcludedMap = ELITE_CONFIG.excludedMapPrefixes.some(prefix => mapId.startsWith(prefix));
-        if (!isExcludedMap && Math.random() < SHINY_CONFIG.spawnChance) {
-            monster.isShiny = true;
-            monster.maxHp = Math.floor(monster.maxHp * SHINY_CONFIG.hpMultiplier);
-            monster.hp = monster.maxHp;
-            console.log(`[Server] ✨ SHINY ${type} spawned on ${mapId}!`);
-        }
+    let { normal, critical: expectedMax } = getExpectedMaxDamage(player, attackType);
+    if (!Number.isFinite(expectedMax)) {
+        // A broken model must never wave damage through - fall back to the flat cap
+        console.warn(`[Security] No damage model for ${attackerId} (${player.playerClass}, ${attackType}), using the flat cap`);
+        normal = expectedMax = CONFIG.MAX_DAMAGE_PER_HIT;
+    }
+    if (damage > expectedMax * DAMAGE_MODEL.rejectFactor) {
+        recordViolation(attackerId, 'damage_impossible', `${Math.floor(damage)} ${attackType || 'unknown'} damage, expected max ${expectedMax}`);
+        return { damage: 0, capped: false, rejected: true, expectedMax };
     }
     
-    if (DEBUG) console.log(`[Server] Spawned ${type} (${monsterId}) with ${maxHp} HP at (${Math.round(x)}, ${Math.round(y)})${monster.isShiny ? ' [SHINY]' : ''}`);
+    recordDamageSample(player, Math.min(damage, expectedMax) / expectedMax, Math.floor(damage), damage > normal);
     
-    // Notify all players on this map about the new monster
-    io.to(mapId).emit('monsterSpawned', monster);
+    if (damage > expectedMax) {
+        recordViolation(attackerId, 'damage_capped', `${Math.floor(damage)} ${attackType || 'unknown'} damage capped to ${expectedMax}`);
+        return { damage: expectedMax, capped: true, rejected: false, expectedMax };
+    }
     
-    return monster;
+    return { damage: Math.floor(damage), capped: false, rejected: false, expectedMax };
 }
 
 /**
- * Server-side monster AI update loop
+ * Record an anti-cheat violation for a player
+ * @returns {number} Total violations recorded for this player
  */
-function startMonsterAI() {
-    if (monsterAIInterval) return; // Already running
-    
-    console.log('[Server] Starting monster AI loop');
-    
-    monsterAIInterval = setInterval(() => {
-        updateAllMonsters();
-        broadcastMonsterPositions();
-    }, CONFIG.MONSTER_AI_RATE);
+function recordViolation(odId, type, details) {
+    if (!playerViolations[odId]) {
+        playerViolations[odId] = { total: 0, byType: {}, lastViolationTime: 0 };
+    }
+
+    const violations = playerViolations[odId];
+    violations.total++;
+    violations.byType[type] = (violations.byType[type] || 0) + 1;
+    violations.lastViolationTime = Date.now();
+
+    console.warn(`[Security] Violation #${violations.total} for ${odId}: ${type}${details ? ` (${details})` : ''}`);
+    journal('violation', { odId, violation: type, details: details || null });
+    addSuspicion(odId, violations, type);
+    return violations.total;
 }
 
 /**
- * Server-side elite monster check system
- * Periodically checks each active map for a possible elite spawn
+ * Restart movement validation from a spawn point (joining, changing maps, resuming, respawning)
+ * The first position update is checked against it like any other move - the allowance grows
+ * while the client loads. graceMs opens a window where any position is accepted; it is only
+ * used for respawns, which need a server-declared death
  */
-function startEliteCheckSystem() {
-    if (eliteCheckInterval) return; // Already running
-    
-    console.log('[Server] Starting elite monster check system');
-    
-    // Schedule the first check after a random delay
-    scheduleNextEliteCheck();
+function setMovementAnchor(odId, x, y, graceMs) {
+    playerMovement[odId] = {
+        x: x,
+        y: y,
+        timestamp: Date.now(),
+        graceUntil: graceMs ? Date.now() + graceMs : 0
+    };
 }
 
-function scheduleNextEliteCheck() {
-    const delay = ELITE_CONFIG.checkIntervalMin + Math.random() * (ELITE_CONFIG.checkIntervalMax - ELITE_CONFIG.checkIntervalMin);
-    eliteCheckInterval = setTimeout(() => {
-        attemptServerEliteSpawn();
-        scheduleNextEliteCheck(); // Schedule next check
-    }, delay);
+/**
+ * Validate a position update against the last accepted position
+ * Allowed distance scales with time since the last accepted update, capped at MAX_TELEPORT_DISTANCE
+ * @returns {{ valid: boolean, reason?: string, x?: number, y?: number }} On rejection, x/y is the position to snap back to
+ */
+function validatePlayerMovement(odId, x, y) {
+    const anchor = playerMovement[odId];
+
+    if (typeof x !== 'number' || typeof y !== 'number' || !Number.isFinite(x) || !Number.isFinite(y)) {
+        recordViolation(odId, 'invalid_position', `x=${x}, y=${y}`);
+        return { valid: false, reason: 'invalid_position', x: anchor?.x, y: anchor?.y };
+    }
+
+    const now = Date.now();
+
+    // No anchor yet or inside a grace window - accept and re-anchor
+    if (!anchor || now < anchor.graceUntil) {
+        playerMovement[odId] = { x, y, timestamp: now, graceUntil: anchor ? anchor.graceUntil : 0 };
+        return { valid: true };
+    }
+
+    const distance = Math.hypot(x - anchor.x, y - anchor.y);
+    const elapsedSeconds = (now - anchor.timestamp) / 1000;
+    const allowedDistance = Math.min(
+        CONFIG.MAX_TELEPORT_DISTANCE,
+        CONFIG.MAX_PLAYER_SPEED * elapsedSeconds + CONFIG.MOVEMENT_TOLERANCE
+    );
+
+    if (distance > allowedDistance) {
+        const type = distance > CONFIG.MAX_TELEPORT_DISTANCE ? 'teleport' : 'speed';
+        recordViolation(odId, type, `moved ${Math.round(distance)}px in ${Math.round(elapsedSeconds * 1000)}ms, allowed ${Math.round(allowedDistance)}px`);
+        return { valid: false, reason: type, x: anchor.x, y: anchor.y };
+    }
+
+    anchor.x = x;
+    anchor.y = y;
+    anchor.timestamp = now;
+    return { valid: true };
 }
 
-function attemptServerEliteSpawn() {
-    // Check each active map
-    for (const mapId in mapMonsters) {
-        // Skip if no players on this map
-        if (!maps[mapId] || Object.keys(maps[mapId]).length === 0) continue;
-        
-        // Skip excluded maps
-        if (ELITE_CONFIG.excludedMapPrefixes.some(prefix => mapId.startsWith(prefix))) continue;
-        
-        // Skip if this map already has an elite
-        if (currentEliteMonsters[mapId]) continue;
-        
-        // 30% chance per check
-        if (Math.random() > ELITE_CONFIG.spawnChance) continue;
-        
-        // Get eligible monsters (alive, not boss, not already elite/shiny)
-        const eligible = Object.values(mapMonsters[mapId]).filter(m => 
-            !m.isDead && !m.isMiniBoss && !m.isTrialBoss && !m.isEliteMonster && m.type !== 'testDummy'
-        );
-        
-        if (eligible.length === 0) continue;
-        
-        // Pick random monster
-        const target = eligible[Math.floor(Math.random() * eligible.length)];
-        
-        // Transform to elite on server
-        target.isEliteMonster = true;
-        target.originalMaxHp = target.maxHp;
-        target.originalDamage = target.damage || 10;
-        target.maxHp = Math.floor(target.maxHp * ELITE_CONFIG.hpMultiplier);
-        target.hp = target.maxHp;
-        target.damage = Math.floor((target.damage || 10) * ELITE_CONFIG.damageMultiplier);
-        
-        currentEliteMonsters[mapId] = target.id;
-        
-        console.log(`[Server] ⚠️ ELITE ${target.type} spawned on ${mapId}! (monster ${target.id})`);
-        
-        // Broadcast to all clients on this map
-        io.to(mapId).emit('monsterTransformedElite', {
-            monsterId: target.id,
-            maxHp: target.maxHp,
-            hp: target.hp,
-            damage: target.damage,
-            originalMaxHp: target.originalMaxHp,
-            originalDamage: target.originalDamage
-        });
+/**
+ * Check that a player is close enough to a ground item to pick it up
+ * @returns {{ valid: boolean, reason?: string }}
+ */
+function validatePickupRange(player, item) {
+    const dx = Math.abs((player.x + CONFIG.PLAYER_WIDTH / 2) - item.x);
+    const dy = Math.abs((player.y + CONFIG.PLAYER_HEIGHT / 2) - item.y);
+    if (dx > CONFIG.PICKUP_RADIUS || dy > CONFIG.PICKUP_VERTICAL_RANGE) {
+        recordViolation(player.odId, 'pickup_range', `${item.name} at ${Math.round(dx)}px/${Math.round(dy)}px`);
+        return { valid: false, reason: 'out_of_range' };
     }
+    return { valid: true };
 }
 
 /**
- * Update all monsters across all maps
+ * Check that a monster is within reach of an attack, measured to the edge of the monster's hitbox
+ * @returns {{ valid: boolean, reason?: string }}
  */
-function updateAllMonsters() {
+function validateAttackRange(player, monster, attackType) {
+    const baseReach = Object.hasOwn(CONFIG.ATTACK_REACH, attackType) ? CONFIG.ATTACK_REACH[attackType] : CONFIG.DEFAULT_ATTACK_REACH;
+    const reach = baseReach + CONFIG.ATTACK_RANGE_TOLERANCE;
+    const width = monster.width || 40;
+    const height = monster.height || 40;
+    const dx = Math.max(0, Math.abs((player.x + CONFIG.PLAYER_WIDTH / 2) - (monster.x + width / 2)) - width / 2);
+    const dy = Math.max(0, Math.abs((player.y + CONFIG.PLAYER_HEIGHT / 2) - (monster.y + height / 2)) - height / 2);
+    const distance = Math.hypot(dx, dy);
+    if (distance > reach) {
+        recordViolation(player.odId, 'attack_range', `${attackType || 'unknown'} attack on ${monster.id} from ${Math.round(distance)}px, reach ${reach}px`);
+        return { valid: false, reason: 'out_of_range' };
+    }
+    return { valid: true };
+}
+
+/**
+ * Clean up rate limiter data for disconnected players
+ */
+function cleanupRateLimiter(odId) {
+    delete rateLimiters[odId];
+    delete playerMovement[odId];
+    delete damageSamples[odId];
+    delete lastGlobalChat[odId];
+    delete chatActivity[odId];
+}
+
+// ============================================
+// PERSISTENCE
+// ============================================
+// Small JSON files in CONFIG.STORAGE_DIR. Writes go through a temp file and rename
+// so a crash mid-write never leaves a truncated file behind.
+
+/**
+ * Read a storage file, returning the fallback if it does not exist yet
+ * @throws {Error} if the file exists but cannot be parsed (refuse to start rather than overwrite it)
+ */
+function readStorageJson(fileName, fallback) {
+    const file = path.join(CONFIG.STORAGE_DIR, fileName);
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') return fallback;
+        throw new Error(`Cannot read ${file}: ${e.message}`);
+    }
+}
+
+// Keys that name Object.prototype machinery; never accepted as ids
+const RESERVED_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+function isReservedKey(key) {
+    return RESERVED_KEYS.has(key);
+}
+
+/**
+ * Copy a parsed storage object into a prototype-free store, so keys that came from clients
+ * ("__proto__", "constructor", ...) stay plain entries
+ */
+function toKeyedStore(data) {
+    return Object.assign(Object.create(null), data);
+}
+
+function writeStorageJson(fileName, data) {
+    const file = path.join(CONFIG.STORAGE_DIR, fileName);
+    try {
+        fs.mkdirSync(CONFIG.STORAGE_DIR, { recursive: true });
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(data));
+        fs.renameSync(`${file}.tmp`, file);
+        return true;
+    } catch (e) {
+        console.error(`[Server] Failed to write ${file}: ${e.message}`);
+        return false;
+    }
+}
+
+/**
+ * writeStorageJson without blocking the event loop, for large files saved on a timer
+ * @returns {Promise<boolean>}
+ */
+async function writeStorageJsonAsync(fileName, data) {
+    const file = path.join(CONFIG.STORAGE_DIR, fileName);
+    const json = JSON.stringify(data); // Snapshot before the first await
+    try {
+        await fs.promises.mkdir(CONFIG.STORAGE_DIR, { recursive: true });
+        await fs.promises.writeFile(`${file}.tmp`, json);
+        await fs.promises.rename(`${file}.tmp`, file);
+        return true;
+    } catch (e) {
+        console.error(`[Server] Failed to write ${file}: ${e.message}`);
+        return false;
+    }
+}
+
+// ============================================
+// COMBAT JOURNAL
+// ============================================
+// Append-only JSONL log of attacks, damage, kills, drops, pickups and violations in
+// CONFIG.STORAGE_DIR, so GMs can replay a disputed fight after the fact.
+// combat.jsonl rotates to combat.1.jsonl ... combat.<maxFiles>.jsonl (oldest is dropped).
+
+const COMBAT_JOURNAL_CONFIG = {
+    fileName: 'combat.jsonl',
+    maxFileBytes: 5 * 1024 * 1024, // Rotate once the live file passes 5MB
+    maxFiles: 5,                   // Rotated files kept besides the live one
+    flushInterval: 1000,           // Buffered entries are appended once a second
+    defaultQueryLimit: 500,
+    maxQueryLimit: 5000
+};
+
+// Entries waiting for the next flush
+let combatJournalBuffer = [];
+
+/**
+ * Queue a journal entry. Entries carry odId/monsterId (and odIds for multi-player
+ * events) so a player's or monster's timeline can be pulled back out.
+ */
+function journal(type, data) {
+    combatJournalBuffer.push(JSON.stringify({ t: Date.now(), type, ...data }));
+}
+
+function getJournalFile(index) {
+    const name = index ? COMBAT_JOURNAL_CONFIG.fileName.replace(/\.jsonl$/, `.${index}.jsonl`) : COMBAT_JOURNAL_CONFIG.fileName;
+    return path.join(CONFIG.STORAGE_DIR, name);
+}
+
+function rotateCombatJournal() {
+    const { maxFiles } = COMBAT_JOURNAL_CONFIG;
+    fs.rmSync(getJournalFile(maxFiles), { force: true });
+    for (let i = maxFiles - 1; i >= 0; i--) {
+        if (fs.existsSync(getJournalFile(i))) fs.renameSync(getJournalFile(i), getJournalFile(i + 1));
+    }
+    console.log('[Server] Rotated combat journal');
+}
+
+/**
+ * Append buffered entries to the live journal file, rotating it when it gets too big
+ */
+function flushCombatJournal() {
+    if (combatJournalBuffer.length === 0) return;
+    const lines = combatJournalBuffer.join('\n') + '\n';
+    combatJournalBuffer = [];
+    try {
+        fs.mkdirSync(CONFIG.STORAGE_DIR, { recursive: true });
+        const file = getJournalFile(0);
+        if (fs.existsSync(file) && fs.statSync(file).size >= COMBAT_JOURNAL_CONFIG.maxFileBytes) {
+            rotateCombatJournal();
+        }
+        fs.appendFileSync(file, lines);
+    } catch (e) {
+        console.error(`[Server] Failed to write combat journal: ${e.message}`);
+    }
+}
+
+function journalEntryMatches(entry, filter) {
+    if (filter.odId && entry.odId !== filter.odId && entry.ownerId !== filter.odId &&
+        !(entry.odIds && entry.odIds.includes(filter.odId))) return false;
+    if (filter.monsterId && entry.monsterId !== filter.monsterId) return false;
+    if (filter.mapId && entry.mapId !== filter.mapId) return false;
+    if (filter.types && !filter.types.includes(entry.type)) return false;
+    if (filter.since && entry.t < filter.since) return false;
+    if (filter.until && entry.t > filter.until) return false;
+    return true;
+}
+
+/**
+ * Pull matching entries from the live and rotated journal files, oldest first.
+ * Returns the most recent `limit` matches.
+ * @param {Object} filter - { odId, monsterId, mapId, types, since, until, limit }
+ */
+async function queryCombatJournal(filter) {
+    flushCombatJournal();
+    const limit = Math.min(filter.limit || COMBAT_JOURNAL_CONFIG.defaultQueryLimit, COMBAT_JOURNAL_CONFIG.maxQueryLimit);
+    const needle = filter.odId || filter.monsterId;
+    const matches = [];
+    for (let i = COMBAT_JOURNAL_CONFIG.maxFiles; i >= 0; i--) {
+        let contents;
+        try {
+            contents = await fs.promises.readFile(getJournalFile(i), 'utf8');
+        } catch (e) {
+            if (e.code === 'ENOENT') continue;
+            throw e;
+        }
+        for (const line of contents.split('\n')) {
+            if (!line || (needle && !line.includes(needle))) continue;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (e) {
+                continue; // Torn line from a crash mid-append
+            }
+            if (!journalEntryMatches(entry, filter)) continue;
+            matches.push(entry);
+            if (matches.length > limit) matches.shift();
+        }
+    }
+    return matches;
+}
+
+// ============================================
+// SUSPICION & BANS
+// ============================================
+// Each violation adds its weight to a per-player suspicion score that decays over time.
+// Repeats of a violation type inside a short window only count once, so a burst of
+// dropped events can't snowball into a kick. Crossing a threshold warns the player,
+// kicks them, or bans their character (IP bans are left to GMs - behind a proxy or a
+// shared network one address can cover many players).
+
+const SUSPICION_CONFIG = {
+    weights: {                  // Score per violation type (unlisted types use defaultWeight)
+        position_rate: 1,
+        invalid_position: 3,
+        speed: 2,
+        teleport: 5,
+        hp_heal: 3,
+        level_mismatch: 5,
+        pickup_range: 2,
+        attack_range: 2,
+        damage_capped: 2,
+        crit_rate: 2,
+        damage_impossible: 10,
+        invalid_payload: 1,
+        chat_flood: 3,
+        rate_limit: 5,
+        item_duplicate: 10
+    },
+    defaultWeight: 1,
+    repeatWindow: 10000,        // ms - further violations of the same type inside it add no score
+    decayPerMinute: 2,
+    warnThreshold: 20,
+    kickThreshold: 50,
+    banThreshold: 100,
+    banDuration: 24 * 60 * 60 * 1000 // Automatic bans; GMs can pick their own duration
+};
+const BANS_FILE = 'bans.json';
+
+// Structure: [{ id, odId, ip, reason, bannedBy, createdAt, expiresAt }] (expiresAt null = permanent)
+let bans = readStorageJson(BANS_FILE, []);
+
+function saveBans() {
+    const now = Date.now();
+    bans = bans.filter(ban => ban.expiresAt === null || ban.expiresAt > now);
+    writeStorageJson(BANS_FILE, bans);
+}
+
+/**
+ * Find an active ban on a character or an IP
+ */
+function findActiveBan(odId, ip) {
+    const now = Date.now();
+    return bans.find(ban => (ban.expiresAt === null || ban.expiresAt > now) &&
+        ((odId && ban.odId === odId) || (ip && ban.ip === ip))) || null;
+}
+
+/**
+ * @param {object} options - { odId, ip, reason, bannedBy, durationMs } (durationMs null = permanent)
+ */
+function addBan({ odId, ip, reason, bannedBy, durationMs }) {
+    const now = Date.now();
+    const ban = {
+        id: `ban_${now}_${Math.random().toString(36).substr(2, 6)}`,
+        odId: odId || null,
+        ip: ip || null,
+        reason: reason || 'No reason given',
+        bannedBy,
+        createdAt: now,
+        expiresAt: durationMs ? now + durationMs : null
+    };
+    bans.push(ban);
+    saveBans();
+    console.warn(`[Security] Banned ${odId || '-'} / ${ip || '-'} by ${bannedBy}: ${ban.reason}${ban.expiresAt ? ` until ${new Date(ban.expiresAt).toISOString()}` : ' (permanent)'}`);
+    return ban;
+}
+
+function removeBan(banId) {
+    const index = bans.findIndex(ban => ban.id === banId);
+    if (index === -1) return null;
+    const [ban] = bans.splice(index, 1);
+    saveBans();
+    return ban;
+}
+
+/**
+ * Disconnect a character's socket without holding a reconnect slot
+ * Runs the disconnect handler synchronously - handlers that can trigger a kick must
+ * check socket.data.kicked before touching the player again
+ */
+function kickPlayer(odId, event, data) {
+    const socket = playerSockets[odId] && io.sockets.sockets.get(playerSockets[odId]);
+    if (!socket) return false;
+    socket.data.kicked = true;
+    socket.emit(event, data);
+    socket.disconnect(true);
+    return true;
+}
+
+/**
+ * Apply a violation to the player's decaying suspicion score and act on thresholds
+ */
+function addSuspicion(odId, violations, type) {
+    const now = Date.now();
+    if (!violations.scoredAt) violations.scoredAt = {};
+    if (now - (violations.scoredAt[type] || 0) < SUSPICION_CONFIG.repeatWindow) return;
+    violations.scoredAt[type] = now;
+    
+    const elapsedMinutes = (now - (violations.scoreUpdatedAt || now)) / 60000;
+    const decayed = Math.max(0, (violations.score || 0) - elapsedMinutes * SUSPICION_CONFIG.decayPerMinute);
+    const weight = SUSPICION_CONFIG.weights[type] !== undefined ? SUSPICION_CONFIG.weights[type] : SUSPICION_CONFIG.defaultWeight;
+    violations.score = decayed + weight;
+    violations.scoreUpdatedAt = now;
+    
+    // Warn/kick once per climb - the score has to decay below the warning line to reset
+    if (decayed < SUSPICION_CONFIG.warnThreshold) violations.level = null;
+    
+    if (violations.score >= SUSPICION_CONFIG.banThreshold) {
+        const ban = addBan({
+            odId,
+            reason: `Automatic: suspicion score ${Math.round(violations.score)} (last: ${type})`,
+            bannedBy: 'auto',
+            durationMs: SUSPICION_CONFIG.banDuration
+        });
+        violations.score = 0;
+        violations.level = null;
+        kickPlayer(odId, 'banned', { reason: ban.reason, expiresAt: ban.expiresAt });
+    } else if (violations.score >= SUSPICION_CONFIG.kickThreshold && violations.level !== 'kicked') {
+        violations.level = 'kicked';
+        console.warn(`[Security] Kicking ${odId}: suspicion score ${Math.round(violations.score)}`);
+        kickPlayer(odId, 'kicked', { reason: 'Too many anti-cheat violations' });
+    } else if (violations.score >= SUSPICION_CONFIG.warnThreshold && !violations.level) {
+        violations.level = 'warned';
+        console.warn(`[Security] Warning ${odId}: suspicion score ${Math.round(violations.score)}`);
+        const socketId = playerSockets[odId];
+        if (socketId) io.to(socketId).emit('suspicionWarning', { message: 'Unusual activity detected on your character. Continued violations will get you kicked.' });
+    }
+}
+
+// ============================================
+// SESSION TOKENS
+// ============================================
+// Token format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256 signature)
+// Payload: { odId, iat, exp }
+
+function signSessionPayload(encodedPayload) {
+    return crypto.createHmac('sha256', CONFIG.SESSION_SECRET).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Issue a signed session token bound to a character
+ */
+function issueSessionToken(odId) {
+    const now = Date.now();
+    const payload = { odId, iat: now, exp: now + CONFIG.SESSION_TOKEN_TTL };
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return {
+        token: `${encodedPayload}.${signSessionPayload(encodedPayload)}`,
+        expiresAt: payload.exp
+    };
+}
+
+/**
+ * Verify a session token and check that it is bound to the given odId
+ * @returns {{ valid: boolean, type?: string, message?: string }}
+ */
+function verifySessionToken(token, odId) {
+    if (!token || typeof token !== 'string') {
+        return { valid: false, type: 'missing_token', message: 'Session token required' };
+    }
+
+    const [encodedPayload, signature, extra] = token.split('.');
+    if (!encodedPayload || !signature || extra !== undefined) {
+        return { valid: false, type: 'malformed_token', message: 'Malformed session token' };
+    }
+
+    const expected = Buffer.from(signSessionPayload(encodedPayload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return { valid: false, type: 'invalid_signature', message: 'Invalid session token' };
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (e) {
+        return { valid: false, type: 'malformed_token', message: 'Malformed session token' };
+    }
+
+    if (!payload || typeof payload.exp !== 'number' || Date.now() > payload.exp) {
+        return { valid: false, type: 'expired_token', message: 'Session token expired' };
+    }
+
+    if (payload.odId !== odId) {
+        return { valid: false, type: 'odId_mismatch', message: 'Session token does not match this character' };
+    }
+
+    return { valid: true };
+}
+
+// ============================================
+// MAP GEOMETRY & MONSTER PHYSICS
+// ============================================
+// Collision geometry per map, used to simulate monster Y on the server
+// Loaded from data/maps/<mapId>.json if present, otherwise taken from the first upload by a
+// player on that map. Dropped when the map is torn down, so a bad upload lasts one session of
+// the map at most (file data is simply reloaded). null = no geometry available
+// Structure: { mapId: { platforms: [{ x, y, width }], ramps: [{ x1, y1, x2, y2 }], walls: [{ x, y, width, height }], groundY } }
+const mapGeometry = Object.create(null);
+
+// Spawn points per map from data/maps/<mapId>.json (never from clients)
+// Structure: { mapId: [{ x, y }] } (empty = no server spawn data)
+const mapSpawnPoints = Object.create(null);
+
+const MAP_GEOMETRY_DIR = path.join(__dirname, 'data', 'maps');
+
+const PHYSICS_CONFIG = {
+    gravity: 0.5,            // px per frame² (matches 60fps client frames)
+    maxFallSpeed: 12,        // px per frame
+    framesPerTick: CONFIG.MONSTER_AI_RATE / (1000 / 60), // Client frames simulated per AI tick
+    stepTolerance: 12,       // Max height change when walking along ramps/onto adjacent platforms
+    jumpCooldown: 1200,      // ms between jumps
+    patrolJumpChance: 0.005, // Chance per tick of a random hop while patrolling
+    chaseJumpHeight: 30,     // Jump when the chase target stands this much higher
+    maxGeometryShapes: 500,  // Cap on uploaded platforms/ramps/walls each
+    fallOutDistance: 1000    // Below the lowest surface by this much = fell out of the map
+};
+
+/**
+ * Clean client-uploaded or file-loaded geometry down to finite numbers and capped lists
+ * @returns {object|null} Geometry, or null if nothing usable was provided
+ */
+function sanitizeMapGeometry(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    
+    const isNum = Number.isFinite;
+    const list = (value) => (Array.isArray(value) ? value.slice(0, PHYSICS_CONFIG.maxGeometryShapes) : []);
+    
+    const platforms = list(raw.platforms)
+        .filter(p => p && isNum(p.x) && isNum(p.y) && isNum(p.width) && p.width > 0)
+        .map(p => ({ x: p.x, y: p.y, width: p.width }));
+    const ramps = list(raw.ramps)
+        .filter(r => r && isNum(r.x1) && isNum(r.y1) && isNum(r.x2) && isNum(r.y2) && r.x1 !== r.x2)
+        .map(r => (r.x1 < r.x2 ? { x1: r.x1, y1: r.y1, x2: r.x2, y2: r.y2 } : { x1: r.x2, y1: r.y2, x2: r.x1, y2: r.y1 }));
+    const walls = list(raw.walls)
+        .filter(w => w && isNum(w.x) && isNum(w.y) && isNum(w.width) && isNum(w.height) && w.width > 0 && w.height > 0)
+        .map(w => ({ x: w.x, y: w.y, width: w.width, height: w.height }));
+    const groundY = isNum(raw.groundY) ? raw.groundY : null;
+    
+    if (platforms.length === 0 && ramps.length === 0 && groundY === null) return null;
+    return { platforms, ramps, walls, groundY };
+}
+
+/**
+ * Load geometry and spawn points for a map from data/maps, caching the result (including misses)
+ */
+function loadMapGeometry(mapId) {
+    if (typeof mapId !== 'string' || !/^[A-Za-z0-9_-]+$/.test(mapId)) return null;
+    if (mapGeometry[mapId] !== undefined) return mapGeometry[mapId];
+    
+    mapGeometry[mapId] = null;
+    mapSpawnPoints[mapId] = [];
+    
+    const file = path.join(MAP_GEOMETRY_DIR, `${mapId}.json`);
+    if (!fs.existsSync(file)) return null;
+    
+    try {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        mapGeometry[mapId] = sanitizeMapGeometry(data);
+        mapSpawnPoints[mapId] = (Array.isArray(data.spawnPoints) ? data.spawnPoints : [])
+            .filter(p => p && Number.isFinite(p.x) && Number.isFinite(p.y))
+            .map(p => ({ x: p.x, y: p.y }));
+        console.log(`[Server] Loaded geometry for ${mapId} from ${file}`);
+    } catch (e) {
+        console.error(`[Server] Failed to load geometry for ${mapId}:`, e.message);
+    }
+    return mapGeometry[mapId];
+}
+
+/**
+ * Server-issued spawn position for a player entering or respawning on a map
+ * Maps with spawnPoints snap the requested position to the nearest one; without server
+ * data the requested position is all there is
+ * @returns {{ x: number, y: number, verified: boolean }}
+ */
+function resolveSpawnPoint(mapId, x, y) {
+    loadMapGeometry(mapId);
+    const points = mapSpawnPoints[mapId] || [];
+    if (points.length === 0) return { x, y, verified: false };
+    
+    let nearest = points[0];
+    for (const point of points) {
+        if (Math.hypot(point.x - x, point.y - y) < Math.hypot(nearest.x - x, nearest.y - y)) nearest = point;
+    }
+    return { x: nearest.x, y: nearest.y, verified: true };
+}
+
+/**
+ * Store client-uploaded geometry unless the map already has geometry (file data wins)
+ */
+function setMapGeometryFromClient(mapId, rawGeometry) {
+    if (loadMapGeometry(mapId)) return;
+    
+    const geometry = sanitizeMapGeometry(rawGeometry);
+    if (geometry) {
+        mapGeometry[mapId] = geometry;
+        console.log(`[Server] Stored client geometry for ${mapId}: ${geometry.platforms.length} platforms, ${geometry.ramps.length} ramps, ${geometry.walls.length} walls`);
+    }
+}
+
+/**
+ * Get every walkable surface at an x coordinate
+ * @returns {Array<{ y: number, minX: number, maxX: number }>}
+ */
+function getSurfacesAt(geometry, x) {
+    const surfaces = [];
+    for (const p of geometry.platforms) {
+        if (x >= p.x && x <= p.x + p.width) {
+            surfaces.push({ y: p.y, minX: p.x, maxX: p.x + p.width });
+        }
+    }
+    for (const r of geometry.ramps) {
+        if (x >= r.x1 && x <= r.x2) {
+            const t = (x - r.x1) / (r.x2 - r.x1);
+            surfaces.push({ y: r.y1 + (r.y2 - r.y1) * t, minX: r.x1, maxX: r.x2 });
+        }
+    }
+    if (geometry.groundY !== null) {
+        surfaces.push({ y: geometry.groundY, minX: -Infinity, maxX: Infinity });
+    }
+    return surfaces;
+}
+
+/**
+ * Find the surface a grounded monster is standing on (within stepTolerance of its feet)
+ */
+function findSupportingSurface(geometry, x, feetY) {
+    let best = null;
+    for (const surface of getSurfacesAt(geometry, x)) {
+        const diff = Math.abs(surface.y - feetY);
+        if (diff <= PHYSICS_CONFIG.stepTolerance && (!best || diff < Math.abs(best.y - feetY))) {
+            best = surface;
+        }
+    }
+    return best;
+}
+
+/**
+ * Find the first surface crossed while falling from prevFeetY to newFeetY (one-way platforms)
+ */
+function findLandingSurface(geometry, x, prevFeetY, newFeetY) {
+    let best = null;
+    for (const surface of getSurfacesAt(geometry, x)) {
+        if (surface.y >= prevFeetY - 1 && surface.y <= newFeetY && (!best || surface.y < best.y)) {
+            best = surface;
+        }
+    }
+    return best;
+}
+
+function getLowestSurfaceY(geometry) {
+    let lowest = geometry.groundY !== null ? geometry.groundY : -Infinity;
+    for (const p of geometry.platforms) lowest = Math.max(lowest, p.y);
+    for (const r of geometry.ramps) lowest = Math.max(lowest, r.y1, r.y2);
+    return lowest;
+}
+
+function overlapsWall(geometry, x, y, width, height) {
+    return geometry.walls.some(w =>
+        x < w.x + w.width && x + width > w.x && y < w.y + w.height && y + height > w.y
+    );
+}
+
+/**
+ * Start a jump if the monster is able to
+ */
+function tryMonsterJump(monster, now) {
+    if (!monster.canJump || monster.isJumping || now < (monster.nextJumpTime || 0)) return false;
+    monster.isJumping = true;
+    monster.velocityY = monster.jumpForce;
+    monster.nextJumpTime = now + PHYSICS_CONFIG.jumpCooldown;
+    return true;
+}
+
+/**
+ * Re-anchor patrol bounds after landing on a different surface
+ */
+function setPatrolBoundsFromSurface(monster, surface) {
+    const EDGE_BUFFER = 50;
+    if (surface.minX === -Infinity) {
+        monster.patrolMinX = Math.max(0, monster.x - 150);
+        monster.patrolMaxX = Math.min(monster.mapWidth - EDGE_BUFFER, monster.x + 150);
+    } else {
+        monster.patrolMinX = Math.max(0, Math.min(monster.x, surface.minX + EDGE_BUFFER));
+        monster.patrolMaxX = Math.min(monster.mapWidth - EDGE_BUFFER, Math.max(monster.x, surface.maxX - EDGE_BUFFER));
+    }
+}
+
+/**
+ * Server-side Y physics: gravity, jumping, walking off edges and wall collision
+ * Runs after the AI has moved the monster on X. Maps without geometry keep client-driven Y.
+ */
+function updateMonsterPhysics(monster, mapId, prevX) {
+    const geometry = mapGeometry[mapId];
+    if (!geometry || monster.ignoresPlatforms) return;
+    
+    const now = Date.now();
+    const frames = PHYSICS_CONFIG.framesPerTick;
+    
+    // Work out where the monster's feet are relative to its y (client anchors vary per sprite)
+    if (monster.footOffset === undefined) {
+        const centerX = monster.x + monster.width / 2;
+        const below = getSurfacesAt(geometry, centerX)
+            .filter(s => s.y >= monster.y + monster.height / 2)
+            .sort((a, b) => a.y - b.y)[0];
+        monster.footOffset = below && below.y - monster.y <= monster.height + 40 ? below.y - monster.y : monster.height + 3;
+    }
+    
+    // Walls block horizontal movement
+    if (monster.x !== prevX && overlapsWall(geometry, monster.x, monster.y, monster.width, monster.height)) {
+        monster.x = prevX;
+        monster.velocityX = 0;
+        if (monster.aiState !== 'chasing' || !tryMonsterJump(monster, now)) {
+            monster.direction *= -1;
+            monster.facing = monster.direction === 1 ? 'right' : 'left';
+        }
+    }
+    
+    const centerX = monster.x + monster.width / 2;
+    const feetY = monster.y + monster.footOffset;
+    
+    if (!monster.isJumping) {
+        const surface = findSupportingSurface(geometry, centerX, feetY);
+        if (surface) {
+            monster.y = surface.y - monster.footOffset;
+            monster.velocityY = 0;
+            
+            // Jump up toward a chase target standing on a higher platform, or hop randomly on patrol
+            const target = monster.aiState === 'chasing' && monster.targetPlayer && maps[mapId] ? maps[mapId][monster.targetPlayer] : null;
+            if (target && surface.y - (target.y + CONFIG.PLAYER_HEIGHT) > PHYSICS_CONFIG.chaseJumpHeight) {
+                tryMonsterJump(monster, now);
+            } else if (monster.aiState === 'patrolling' && Math.random() < PHYSICS_CONFIG.patrolJumpChance) {
+                tryMonsterJump(monster, now);
+            }
+            if (!monster.isJumping) return;
+        } else {
+            // Walked off an edge - start falling
+            monster.isJumping = true;
+            monster.velocityY = 0;
+        }
+    }
+    
+    // Airborne: integrate gravity over the client frames covered by this tick
+    monster.velocityY = Math.min(monster.velocityY + PHYSICS_CONFIG.gravity * frames, PHYSICS_CONFIG.maxFallSpeed);
+    const newFeetY = feetY + monster.velocityY * frames;
+    
+    if (monster.velocityY > 0) {
+        const landing = findLandingSurface(geometry, centerX, feetY, newFeetY);
+        if (landing) {
+            monster.y = landing.y - monster.footOffset;
+            monster.velocityY = 0;
+            monster.isJumping = false;
+            setPatrolBoundsFromSurface(monster, landing);
+            return;
+        }
+    }
+    
+    monster.y = newFeetY - monster.footOffset;
+    
+    // Fell out of the world - put it back where it spawned
+    if (newFeetY > getLowestSurfaceY(geometry) + PHYSICS_CONFIG.fallOutDistance) {
+        if (DEBUG) console.log(`[Server] Monster ${monster.id} fell out of ${mapId}, resetting to spawn`);
+        monster.x = monster.spawnX;
+        monster.y = monster.spawnY;
+        monster.velocityY = 0;
+        monster.isJumping = false;
+    }
+}
+
+// Map spawn definitions - will be received from clients
+// Structure: { mapId: { monsters: [{type, count}], spawners: [{type, maxCount}] } }
+const mapSpawnData = Object.create(null);
+
+/**
+ * Initialize monsters for a map when first player joins
+ * Uses pre-calculated spawn positions from client if available
+ */
+function initializeMapMonsters(mapId, mapData) {
+    if (mapMonsters[mapId]) return; // Already initialized
+    
+    mapMonsters[mapId] = Object.create(null);
+    mapSpawnData[mapId] = mapData;
+    loadMapGeometry(mapId);
+    
+    if (!mapData || !mapData.monsters) return;
+    
+    console.log(`[Server] Initializing monsters for map ${mapId}`);
+    
+    // If client sent pre-calculated positions, use those
+    if (mapData.spawnPositions && mapData.spawnPositions.length > 0) {
+        console.log(`[Server] Using ${mapData.spawnPositions.length} pre-calculated spawn positions`);
+        for (const pos of mapData.spawnPositions) {
+            spawnMonster(mapId, pos.type, {
+                ...mapData,
+                x: pos.x,
+                y: pos.y,
+                // Pass surface bounds from spawn position for proper patrol limits
+                surfaceX: pos.surfaceX,
+                surfaceWidth: pos.surfaceWidth
+            });
+        }
+    } else {
+        // Fallback: spawn at random positions (old behavior)
+        for (const spawner of mapData.monsters) {
+            const count = spawner.count || 5;
+            for (let i = 0; i < count; i++) {
+                spawnMonster(mapId, spawner.type, mapData);
+            }
+        }
+    }
+    
+    // Start monster AI if not already running
+    startMonsterAI();
+    
+    // Start elite monster check system if not already running
+    startEliteCheckSystem();
+}
+
+/**
+ * Spawn a new monster on a map (position can be provided by client)
+ */
+function spawnMonster(mapId, type, spawnerData = {}) {
+    const monsterId = `m_${nextMonsterId++}`;
+    const mapWidth = spawnerData.mapWidth || mapSpawnData[mapId]?.mapWidth || 1366;
+    const groundY = spawnerData.groundY || mapSpawnData[mapId]?.groundY || 300;
+    
+    // Get monster type data from stored data
+    const monsterTypeData = mapSpawnData[mapId]?.monsterTypes?.[type] || {};
+    
+    if (DEBUG) console.log(`[Server] Spawning ${type} - canJump: ${monsterTypeData.canJump}, jumpForce: ${monsterTypeData.jumpForce}, monsterTypeData keys:`, Object.keys(monsterTypeData));
+    
+    const maxHp = monsterTypeData.hp || spawnerData.maxHp || 100;
+    const speed = monsterTypeData.speed || CONFIG.MONSTER_SPEED;
+    const monsterHeight = monsterTypeData.height || 40;
+    
+    // Use provided spawn position or generate random
+    const x = spawnerData.x !== undefined ? spawnerData.x : Math.random() * (mapWidth - 100) + 50;
+    // CRITICAL: Always use client-provided Y position if available, as it accounts for anchor points
+    // Client calculates: spawnY = surfaceY - anchorY - groundOffset
+    // If not provided, fall back to simple ground calculation
+    const y = spawnerData.y !== undefined ? spawnerData.y : groundY - monsterHeight - 3;
+    
+    const direction = Math.random() > 0.5 ? 1 : -1;
+    
+    // Determine AI type - static monsters don't move
+    const aiType = monsterTypeData.aiType || 'patrolling';
+    
+    // AI archetype selects the behavior state machine (see MONSTER_ARCHETYPES)
+    const archetype = MONSTER_ARCHETYPES[monsterTypeData.archetype] ? monsterTypeData.archetype : 'passive';
+    
+    const monster = {
+        id: monsterId,
+        type: type,
+        x: x,
+        y: y,
+        hp: maxHp,
+        maxHp: maxHp,
+        direction: direction,
+        facing: direction === 1 ? 'right' : 'left',
+        aiState: aiType === 'static' ? 'idle' : 'patrolling',
+        aiType: aiType,
+        velocityX: 0,
+        velocityY: 0,
+        speed: speed,
+        isDead: false,
+        isMiniBoss: monsterTypeData.isMiniBoss || false,
+        level: monsterTypeData.level || 1,
+        exp: monsterTypeData.exp || 0,
+        isEliteMonster: false, // Elites are created by transformToElite
+        isTrialBoss: false,
+        width: monsterTypeData.width || 40,
+        height: monsterHeight,
+        mapWidth: mapWidth,
+        groundY: groundY, // Store the surface ground level (not spawn Y)
+        spawnTime: Date.now(),
+        lastUpdate: Date.now(),
+        // Store spawn info for proper respawning
+        spawnX: x,
+        spawnY: y,
+        // Store surface X and width for patrol bounds preservation
+        patrolSurfaceX: spawnerData.surfaceX,
+        patrolSurfaceWidth: spawnerData.surfaceWidth,
+        // Elite monster properties (set when transformed)
+        originalMaxHp: null,
+        originalDamage: null,
+        // Jumping properties
+        canJump: monsterTypeData.canJump || false,
+        jumpForce: monsterTypeData.jumpForce || -8,
+        isJumping: false,
+        // Aggro detection
+        aggroRange: monsterTypeData.aggroRange || (monsterTypeData.isMiniBoss ? 350 : 250), // Detection range for aggro
+        chaseStartTime: 0,
+        // AI archetype and its tuning
+        archetype: archetype,
+        ignoresPlatforms: archetype === 'flying',
+        damage: monsterTypeData.damage || 10,
+        attackRange: monsterTypeData.attackRange || 400,
+        attackCooldown: monsterTypeData.attackCooldown || AI_CONFIG.rangedAttackCooldown,
+        projectileSpeed: monsterTypeData.projectileSpeed || AI_CONFIG.projectileSpeed,
+        preferredRangeMin: monsterTypeData.preferredRangeMin || AI_CONFIG.rangedPreferredMin,
+        preferredRangeMax: monsterTypeData.preferredRangeMax || AI_CONFIG.rangedPreferredMax,
+        fleeThreshold: monsterTypeData.fleeThreshold || AI_CONFIG.cowardFleeThreshold
+    };
+    
+    // Calculate patrol bounds based on platform/structure bounds if provided, otherwise use spawn position
+    // Use 50px buffer from edges to prevent monsters from walking off platforms
+    const EDGE_BUFFER = 50;
+    const MIN_PATROL_DISTANCE = 80; // Minimum patrol range to prevent stuck flipping
+    
+    if (spawnerData.surfaceX !== undefined && spawnerData.surfaceWidth !== undefined) {
+        const surfaceLeft = spawnerData.surfaceX + EDGE_BUFFER;
+        const surfaceRight = spawnerData.surfaceX + spawnerData.surfaceWidth - EDGE_BUFFER;
+        const surfacePatrolWidth = surfaceRight - surfaceLeft;
+        
+        if (surfacePatrolWidth >= MIN_PATROL_DISTANCE) {
+            // Normal case: surface is wide enough for patrol
+            monster.patrolMinX = Math.max(0, surfaceLeft);
+            monster.patrolMaxX = Math.min(mapWidth - EDGE_BUFFER, surfaceRight);
+        } else {
+            // Surface too narrow - just stand still in the center
+            const center = spawnerData.surfaceX + spawnerData.surfaceWidth / 2;
+            monster.patrolMinX = center - 10;
+            monster.patrolMaxX = center + 10;
+            monster.aiState = 'idle'; // Start as idle since can't patrol
+        }
+    } else {
+        // Fallback: patrol around spawn position
+        monster.patrolMinX = Math.max(0, x - 150);
+        monster.patrolMaxX = Math.min(mapWidth - EDGE_BUFFER, x + 150);
+    }
+    
+    if (spawnerData.isSummon) {
+        monster.isSummon = true;
+    }
+    
+    mapMonsters[mapId][monsterId] = monster;
+    monsterDamage[monsterId] = Object.create(null);
+    
+    // Scripted boss encounter (phases, skills, enrage)
+    attachBossScript(monster, mapId);
+    
+    // Server-side shiny roll: 2% chance for eligible monsters
+    if (!monster.isMiniBoss && !monster.isTrialBoss && monster.type !== 'testDummy') {
+        const isExcludedMap = ELITE_CONFIG.excludedMapPrefixes.some(prefix => mapId.startsWith(prefix));
+        if (!isExcludedMap && Math.random() < SHINY_CONFIG.spawnChance) {
+            monster.isShiny = true;
+            monster.maxHp = Math.floor(monster.maxHp * SHINY_CONFIG.hpMultiplier);
+            monster.hp = monster.maxHp;
+            console.log(`[Server] ✨ SHINY ${type} spawned on ${mapId}!`);
+        }
+    }
+    
+    if (DEBUG) console.log(`[Server] Spawned ${type} (${monsterId}) with ${maxHp} HP at (${Math.round(x)}, ${Math.round(y)})${monster.isShiny ? ' [SHINY]' : ''}`);
+    
+    // Notify all players on this map about the new monster
+    io.to(mapId).emit('monsterSpawned', monster);
+    
+    return monster;
+}
+
+/**
+ * Server-side monster AI update loop
+ */
+function startMonsterAI() {
+    if (monsterAIInterval) return; // Already running
+    
+    console.log('[Server] Starting monster AI loop');
+    
+    monsterAIInterval = setInterval(() => {
+        updateAllMonsters();
+        broadcastMonsterPositions();
+    }, CONFIG.MONSTER_AI_RATE);
+}
+
+/**
+ * Server-side elite monster check system
+ * Periodically checks each active map for a possible elite spawn
+ */
+function startEliteCheckSystem() {
+    if (eliteCheckInterval) return; // Already running
+    
+    console.log('[Server] Starting elite monster check system');
+    
+    // Schedule the first check after a random delay
+    scheduleNextEliteCheck();
+}
+
+function scheduleNextEliteCheck() {
+    const delay = ELITE_CONFIG.checkIntervalMin + Math.random() * (ELITE_CONFIG.checkIntervalMax - ELITE_CONFIG.checkIntervalMin);
+    eliteCheckInterval = setTimeout(() => {
+        attemptServerEliteSpawn();
+        scheduleNextEliteCheck(); // Schedule next check
+    }, delay);
+}
+
+function attemptServerEliteSpawn() {
+    // Check each active map
+    for (const mapId in mapMonsters) {
+        // Skip if no players on this map
+        if (!maps[mapId] || Object.keys(maps[mapId]).length === 0) continue;
+        
+        // Skip excluded maps
+        if (ELITE_CONFIG.excludedMapPrefixes.some(prefix => mapId.startsWith(prefix))) continue;
+        
+        // Skip if this map already has an elite
+        if (getCurrentElite(mapId)) continue;
+        
+        // 30% chance per check
+        if (Math.random() > ELITE_CONFIG.spawnChance) continue;
+        
+        // Get eligible monsters (alive, not boss, not already elite/shiny)
+        const eligible = Object.values(mapMonsters[mapId]).filter(m => 
+            !m.isDead && !m.isMiniBoss && !m.isTrialBoss && !m.isEliteMonster && m.type !== 'testDummy'
+        );
+        
+        if (eligible.length === 0) continue;
+        
+        // Pick random monster
+        const target = eligible[Math.floor(Math.random() * eligible.length)];
+        transformToElite(mapId, target);
+    }
+}
+
+/**
+ * Get the id of the map's live elite, dropping stale entries for dead or despawned monsters
+ */
+function getCurrentElite(mapId) {
+    const eliteId = currentEliteMonsters[mapId];
+    if (!eliteId) return null;
+    const monster = mapMonsters[mapId]?.[eliteId];
+    if (!monster || monster.isDead || !monster.isEliteMonster) {
+        delete currentEliteMonsters[mapId];
+        return null;
+    }
+    return eliteId;
+}
+
+/**
+ * Turn a monster into the map's elite using ELITE_CONFIG and broadcast it.
+ * Every elite path goes through here so the one-elite-per-map rule holds.
+ * @returns {string|null} Rejection reason, or null on success
+ */
+function transformToElite(mapId, monster) {
+    if (!monster || monster.isDead) return 'not_found';
+    if (monster.isEliteMonster) return 'already_elite';
+    if (monster.isMiniBoss || monster.isTrialBoss || monster.boss || monster.type === 'testDummy') return 'ineligible';
+    if (getCurrentElite(mapId)) return 'map_has_elite';
+    
+    monster.isEliteMonster = true;
+    monster.originalMaxHp = monster.maxHp;
+    monster.originalDamage = monster.damage || 10;
+    monster.maxHp = Math.floor(monster.maxHp * ELITE_CONFIG.hpMultiplier);
+    monster.hp = monster.maxHp;
+    monster.damage = Math.floor(monster.originalDamage * ELITE_CONFIG.damageMultiplier);
+    
+    currentEliteMonsters[mapId] = monster.id;
+    
+    console.log(`[Server] ⚠️ ELITE ${monster.type} spawned on ${mapId}! (monster ${monster.id})`);
+    
+    // Broadcast to all clients on this map
+    io.to(mapId).emit('monsterTransformedElite', {
+        monsterId: monster.id,
+        maxHp: monster.maxHp,
+        hp: monster.hp,
+        damage: monster.damage,
+        originalMaxHp: monster.originalMaxHp,
+        originalDamage: monster.originalDamage
+    });
+    return null;
+}
+
+/**
+ * Update all monsters across all maps
+ */
+function updateAllMonsters() {
+    for (const mapId in mapMonsters) {
+        // Update monsters regardless of player presence (server runs independently)
+        // Only skip if map has never been initialized
+        if (!mapMonsters[mapId]) continue;
+        
+        for (const monsterId in mapMonsters[mapId]) {
+            const monster = mapMonsters[mapId][monsterId];
+            if (monster.isDead) continue;
+            
+            const prevX = monster.x;
+            updateMonsterAI(monster, mapId);
+            updateMonsterPhysics(monster, mapId, prevX);
+            checkMonsterContact(monster, mapId);
+            if (monster.boss) updateBossEncounter(monster, mapId, Date.now());
+        }
+        
+        updateMonsterProjectiles(mapId);
+    }
+}
+
+// ============================================
+// MONSTER AI ARCHETYPES
+// ============================================
+// Monster types select an archetype with `archetype` in the initMapMonsters type data.
+// Each archetype is its own state machine; unknown or missing archetypes behave as 'passive'.
+const AI_CONFIG = {
+    speedMultiplier: 4.2,     // Converts type speed to px per AI tick
+    chaseSpeedMultiplier: 1.5,
+    chaseTimeout: 5000,       // ms without interaction before a chase is dropped
+    chaseRange: 500,          // Max distance from spawn while chasing
+    flyingBobAmplitude: 20,   // px
+    flyingBobPeriod: 2000,    // ms
+    rangedPreferredMin: 180,  // Ranged monsters back off when closer than this
+    rangedPreferredMax: 350,  // ...and close in when further than this
+    rangedAttackCooldown: 2500,
+    projectileSpeed: 18,      // px per AI tick
+    projectileLifetime: 2000, // ms
+    projectileSize: 20,
+    cowardFleeThreshold: 0.3, // Flee below this fraction of max HP
+    cowardFleeDuration: 4000, // ms of fleeing after the last hit
+    cowardFleeSpeedMultiplier: 1.8
+};
+
+const MONSTER_ARCHETYPES = {
+    passive: updatePassiveMonster,
+    aggressive: updateAggressiveMonster,
+    flying: updateFlyingMonster,
+    ranged: updateRangedMonster,
+    coward: updateCowardMonster
+};
+
+// Active monster projectiles per map
+// Structure: { mapId: [{ id, monsterId, x, y, velocityX, velocityY, width, height, damage, expiresAt }] }
+const monsterProjectiles = {};
+let nextProjectileId = 1;
+
+/**
+ * Server-side monster AI - handles X movement (and Y for flying monsters)
+ * Y for grounded monsters (gravity, jumping, platforms) is simulated by updateMonsterPhysics when the map has geometry
+ */
+function updateMonsterAI(monster, mapId) {
+    const now = Date.now();
+    updateMonsterThreat(monster, mapId, now);
+    
+    // Skip AI for static monsters (like test dummy)
+    if (monster.aiType === 'static') {
+        monster.velocityX = 0;
+        return;
+    }
+    
+    // Skip AI during knockback
+    if (now < (monster.knockbackEndTime || 0)) {
+        monster.velocityX = 0;
+        return;
+    }
+    
+    const update = MONSTER_ARCHETYPES[monster.archetype] || updatePassiveMonster;
+    update(monster, mapId, now);
+    monster.lastUpdate = now;
+}
+
+/**
+ * Passive: patrol, chase only after being attacked (set in damageMonster)
+ */
+function updatePassiveMonster(monster, mapId, now) {
+    if (monster.aiState === 'chasing') {
+        updateChase(monster, mapId, now);
+        return;
+    }
+    updatePatrol(monster);
+}
+
+/**
+ * Aggressive: like passive, but aggro on any player that comes within aggroRange
+ */
+function updateAggressiveMonster(monster, mapId, now) {
+    acquireProximityTarget(monster, mapId, now);
+    updatePassiveMonster(monster, mapId, now);
+}
+
+/**
+ * Flying: ignores platforms, bobs around its spawn height and chases in two dimensions
+ */
+function updateFlyingMonster(monster, mapId, now) {
+    const prevY = monster.y;
+    const target = monster.aiState === 'chasing' ? getChaseTarget(monster, mapId, now) : null;
+    
+    if (target) {
+        updateChase(monster, mapId, now);
+        // Drift toward the target's height
+        const targetY = target.y + CONFIG.PLAYER_HEIGHT / 2 - monster.height / 2;
+        const maxStep = (monster.speed || CONFIG.MONSTER_SPEED) * AI_CONFIG.speedMultiplier;
+        monster.y += Math.max(-maxStep, Math.min(maxStep, targetY - monster.y));
+    } else {
+        if (monster.aiState === 'chasing') {
+            updateChase(monster, mapId, now);
+        } else {
+            updatePatrol(monster);
+        }
+        // Return to hover height with a gentle bob
+        const phase = (now - monster.spawnTime) / AI_CONFIG.flyingBobPeriod * Math.PI * 2;
+        const hoverY = monster.spawnY + Math.sin(phase) * AI_CONFIG.flyingBobAmplitude;
+        monster.y += (hoverY - monster.y) * 0.2;
+    }
+    
+    monster.velocityY = (monster.y - prevY) / PHYSICS_CONFIG.framesPerTick;
+}
+
+/**
+ * Ranged: aggro on proximity, hold a preferred distance and fire projectiles at the target
+ */
+function updateRangedMonster(monster, mapId, now) {
+    acquireProximityTarget(monster, mapId, now);
+    
+    const target = monster.aiState === 'chasing' ? getChaseTarget(monster, mapId, now) : null;
+    if (!target) {
+        if (monster.aiState === 'chasing') {
+            updateChase(monster, mapId, now);
+        } else {
+            updatePatrol(monster);
+        }
+        return;
+    }
+    
+    const targetX = target.x + CONFIG.PLAYER_WIDTH / 2;
+    const monsterCenterX = monster.x + monster.width / 2;
+    const dx = targetX - monsterCenterX;
+    const distance = Math.abs(dx);
+    
+    // Always face the target
+    monster.direction = dx > 0 ? 1 : -1;
+    monster.facing = monster.direction === 1 ? 'right' : 'left';
+    
+    let moveDirection = 0;
+    if (distance < monster.preferredRangeMin) moveDirection = -monster.direction;
+    else if (distance > monster.preferredRangeMax) moveDirection = monster.direction;
+    
+    const moveAmount = moveDirection * (monster.speed || CONFIG.MONSTER_SPEED) * AI_CONFIG.speedMultiplier;
+    moveMonsterWithinChaseRange(monster, moveAmount);
+    
+    if (distance <= monster.attackRange && now >= (monster.nextAttackTime || 0)) {
+        fireMonsterProjectile(monster, mapId, target, now);
+        monster.nextAttackTime = now + monster.attackCooldown;
+    }
+}
+
+/**
+ * Coward: passive until badly hurt, then runs away from its attacker until left alone
+ */
+function updateCowardMonster(monster, mapId, now) {
+    const lowHp = monster.hp < monster.maxHp * monster.fleeThreshold;
+    
+    if (lowHp && monster.targetPlayer && now - (monster.lastInteractionTime || 0) < AI_CONFIG.cowardFleeDuration) {
+        const attacker = maps[mapId] && maps[mapId][monster.targetPlayer];
+        if (attacker) {
+            monster.aiState = 'fleeing';
+            const awayDirection = (monster.x + monster.width / 2) > (attacker.x + CONFIG.PLAYER_WIDTH / 2) ? 1 : -1;
+            monster.direction = awayDirection;
+            monster.facing = awayDirection === 1 ? 'right' : 'left';
+            
+            const fleeSpeed = (monster.speed || CONFIG.MONSTER_SPEED) * AI_CONFIG.speedMultiplier * AI_CONFIG.cowardFleeSpeedMultiplier;
+            moveMonsterWithinChaseRange(monster, awayDirection * fleeSpeed);
+            return;
+        }
+    }
+    
+    if (monster.aiState === 'fleeing') {
+        // Calmed down - patrol from wherever it ended up
+        monster.aiState = 'patrolling';
+        monster.targetPlayer = null;
+        reanchorPatrol(monster, 100);
+    }
+    updatePassiveMonster(monster, mapId, now);
+}
+
+/**
+ * Start chasing the nearest connected player inside aggroRange (proximity aggro)
+ * While the target stays in range the chase timeout keeps being refreshed
+ */
+function acquireProximityTarget(monster, mapId, now) {
+    if (!maps[mapId]) return;
+    
+    if (monster.aiState === 'chasing' && monster.targetPlayer) {
+        const current = maps[mapId][monster.targetPlayer];
+        if (current && isPlayerTargetable(current) && getMonsterPlayerDistance(monster, current) <= monster.aggroRange) {
+            monster.lastInteractionTime = now;
+        }
+        return;
+    }
+    
+    let nearest = null;
+    let nearestDistance = monster.aggroRange;
+    for (const odId in maps[mapId]) {
+        const player = maps[mapId][odId];
+        if (!isPlayerTargetable(player)) continue;
+        const distance = getMonsterPlayerDistance(monster, player);
+        if (distance <= nearestDistance) {
+            nearest = player;
+            nearestDistance = distance;
+        }
+    }
+    
+    if (nearest) {
+        addThreat(monster.id, nearest.odId, THREAT_CONFIG.proximityThreat);
+        monster.aiState = 'chasing';
+        monster.targetPlayer = nearest.odId;
+        monster.lastInteractionTime = now;
+        monster.chaseStartTime = now;
+    }
+}
+
+/**
+ * Dead players and players waiting to reconnect can't be targeted
+ */
+function isPlayerTargetable(player) {
+    return player.connectionState !== 'reconnecting' && !player.isDead;
+}
+
+function getMonsterPlayerDistance(monster, player) {
+    const dx = (player.x + CONFIG.PLAYER_WIDTH / 2) - (monster.x + monster.width / 2);
+    const dy = (player.y + CONFIG.PLAYER_HEIGHT / 2) - (monster.y + monster.height / 2);
+    return Math.hypot(dx, dy);
+}
+
+/**
+ * Get the current chase target, or null if the chase has timed out or the target is gone
+ */
+function getChaseTarget(monster, mapId, now) {
+    if (now - (monster.lastInteractionTime || 0) > AI_CONFIG.chaseTimeout) return null;
+    if (!monster.targetPlayer || !maps[mapId]) return null;
+    return maps[mapId][monster.targetPlayer] || null;
+}
+
+/**
+ * Chase the target player on X, dropping the chase on timeout or when too far from spawn
+ */
+function updateChase(monster, mapId, now) {
+    const timeSinceInteraction = now - (monster.lastInteractionTime || 0);
+    
+    if (timeSinceInteraction > AI_CONFIG.chaseTimeout) {
+        monster.aiState = 'patrolling';
+        monster.targetPlayer = null;
+        // Update patrol bounds to current position so monster doesn't snap back
+        reanchorPatrol(monster, (monster.patrolMaxX - monster.patrolMinX) / 2);
+    } else if (monster.targetPlayer && maps[mapId]) {
+        const target = maps[mapId][monster.targetPlayer];
+        if (target) {
+            const targetX = target.x + 15;
+            const dx = targetX - monster.x;
+            const distFromSpawn = Math.abs(monster.x - monster.spawnX);
+            
+            if (distFromSpawn < AI_CONFIG.chaseRange) {
+                monster.direction = dx > 0 ? 1 : -1;
+                monster.facing = monster.direction === 1 ? 'right' : 'left';
+                
+                // Chase speed (1.5x patrol)
+                const chaseSpeed = (monster.speed || CONFIG.MONSTER_SPEED) * AI_CONFIG.speedMultiplier * AI_CONFIG.chaseSpeedMultiplier;
+                const moveAmount = monster.direction * chaseSpeed;
+                const newX = monster.x + moveAmount;
+                
+                // Respect map boundaries
+                if (newX >= 0 && newX <= monster.mapWidth - monster.width) {
+                    monster.velocityX = moveAmount;
+                    monster.x = newX;
+                } else {
+                    monster.velocityX = 0;
+                }
+            } else {
+                // Too far from spawn - stop chasing but stay at current position
+                monster.aiState = 'patrolling';
+                monster.targetPlayer = null;
+                // Update patrol bounds to current position
+                reanchorPatrol(monster, 100);
+            }
+        } else {
+            monster.targetPlayer = null;
+        }
+    }
+}
+
+/**
+ * Move on X while chasing/fleeing, staying inside the map and within chaseRange of spawn
+ */
+function moveMonsterWithinChaseRange(monster, moveAmount) {
+    const newX = monster.x + moveAmount;
+    const inMap = newX >= 0 && newX <= monster.mapWidth - monster.width;
+    const inRange = Math.abs(newX - monster.spawnX) < AI_CONFIG.chaseRange;
+    
+    if (moveAmount !== 0 && inMap && inRange) {
+        monster.velocityX = moveAmount;
+        monster.x = newX;
+    } else {
+        monster.velocityX = 0;
+    }
+}
+
+/**
+ * Re-center patrol bounds (and spawn point) on the monster's current position
+ */
+function reanchorPatrol(monster, patrolRadius) {
+    monster.patrolMinX = Math.max(0, monster.x - patrolRadius);
+    monster.patrolMaxX = Math.min(monster.mapWidth - monster.width, monster.x + patrolRadius);
+    monster.spawnX = monster.x; // Update spawn point too
+}
+
+/**
+ * Simple patrol behavior - walk back and forth between patrol bounds
+ */
+function updatePatrol(monster) {
+    // Turn at patrol boundaries
+    if (monster.x <= monster.patrolMinX + 30) {
+        monster.direction = 1;
+        monster.facing = 'right';
+    } else if (monster.x >= monster.patrolMaxX - 30) {
+        monster.direction = -1;
+        monster.facing = 'left';
+    } else if (Math.random() < CONFIG.PATROL_CHANGE_CHANCE) {
+        monster.direction *= -1;
+        monster.facing = monster.direction === 1 ? 'right' : 'left';
+    }
+    
+    // Move
+    const moveAmount = monster.direction * (monster.speed || CONFIG.MONSTER_SPEED) * AI_CONFIG.speedMultiplier;
+    const newX = monster.x + moveAmount;
+    
+    if (newX >= monster.patrolMinX && newX <= monster.patrolMaxX) {
+        monster.velocityX = moveAmount;
+        monster.x = newX;
+    } else {
+        monster.velocityX = 0;
+        if (newX < monster.patrolMinX) {
+            monster.x = monster.patrolMinX;
+            monster.direction = 1;
+            monster.facing = 'right';
+        } else {
+            monster.x = monster.patrolMaxX;
+            monster.direction = -1;
+            monster.facing = 'left';
+        }
+    }
+    
+    // Clamp to map
+    if (monster.x < 0) {
+        monster.x = 0;
+        monster.direction = 1;
+        monster.facing = 'right';
+    }
+    if (monster.x > monster.mapWidth - monster.width) {
+        monster.x = monster.mapWidth - monster.width;
+        monster.direction = -1;
+        monster.facing = 'left';
+    }
+    
+    monster.aiState = 'patrolling';
+}
+
+/**
+ * Fire a projectile from a ranged monster toward a player
+ */
+function fireMonsterProjectile(monster, mapId, target, now) {
+    const originX = monster.x + monster.width / 2;
+    const originY = monster.y + monster.height / 2;
+    const dx = (target.x + CONFIG.PLAYER_WIDTH / 2) - originX;
+    const dy = (target.y + CONFIG.PLAYER_HEIGHT / 2) - originY;
+    const length = Math.hypot(dx, dy) || 1;
+    
+    const projectile = {
+        id: `mp_${nextProjectileId++}`,
+        monsterId: monster.id,
+        x: originX,
+        y: originY,
+        velocityX: (dx / length) * monster.projectileSpeed,
+        velocityY: (dy / length) * monster.projectileSpeed,
+        width: AI_CONFIG.projectileSize,
+        height: AI_CONFIG.projectileSize,
+        damage: monster.damage || 10,
+        expiresAt: now + AI_CONFIG.projectileLifetime
+    };
+    
+    if (!monsterProjectiles[mapId]) monsterProjectiles[mapId] = [];
+    monsterProjectiles[mapId].push(projectile);
+    
+    io.to(mapId).emit('monsterProjectile', {
+        id: projectile.id,
+        monsterId: monster.id,
+        targetId: target.odId,
+        x: projectile.x,
+        y: projectile.y,
+        velocityX: projectile.velocityX,
+        velocityY: projectile.velocityY,
+        lifetime: AI_CONFIG.projectileLifetime
+    });
+}
+
+/**
+ * Advance monster projectiles, removing expired ones and ones that hit walls or players
+ */
+function updateMonsterProjectiles(mapId) {
+    const projectiles = monsterProjectiles[mapId];
+    if (!projectiles || projectiles.length === 0) return;
+    
+    const now = Date.now();
+    const geometry = mapGeometry[mapId];
+    
+    monsterProjectiles[mapId] = projectiles.filter(p => {
+        p.x += p.velocityX;
+        p.y += p.velocityY;
+        if (now > p.expiresAt) return false;
+        if (geometry && overlapsWall(geometry, p.x - p.width / 2, p.y - p.height / 2, p.width, p.height)) return false;
+        
+        // Projectiles are spent on the first player they hit
+        for (const odId in maps[mapId] || {}) {
+            const player = maps[mapId][odId];
+            if (playersOverlap(player, p.x - p.width / 2, p.y - p.height / 2, p.width, p.height) &&
+                damagePlayer(mapId, player, p.damage, { type: 'projectile', id: p.monsterId, projectileId: p.id, x: p.x })) {
+                return false;
+            }
+        }
+        return true;
+    });
+}
+
+// ============================================
+// THREAT
+// ============================================
+// Monsters chase the highest-threat player still on their map instead of the last attacker.
+// A new player must beat the current target's threat by switchThreshold to pull aggro,
+// which (together with taunts and class multipliers) lets party tanks hold mini-bosses.
+const THREAT_CONFIG = {
+    decayPerSecond: 0.05,        // Fraction of threat lost per second
+    minThreat: 1,                // Entries below this are dropped
+    switchThreshold: 1.1,        // Pull aggro at 110% of the current target's threat
+    bossSwitchThreshold: 1.3,    // Mini-bosses are stickier
+    proximityThreat: 1,          // Threat from walking into an aggressive monster's aggroRange
+    tauntDuration: 4000,         // ms a taunted monster is fixated on the taunter
+    tauntCooldown: 8000,         // ms between taunts per player
+    tauntRange: 400,             // px
+    tauntClasses: ['warrior'],   // playerClasses that have a taunt skill
+    classMultipliers: {          // Threat per point of damage by playerClass
+        warrior: 1.5
+    }
+};
+
+/**
+ * Add threat for a player on a monster
+ */
+function addThreat(monsterId, odId, amount) {
+    if (!monsterThreat[monsterId]) monsterThreat[monsterId] = Object.create(null);
+    monsterThreat[monsterId][odId] = (monsterThreat[monsterId][odId] || 0) + amount;
+}
+
+/**
+ * Threat generated per point of damage, from the player's class as the server knows it
+ * (attackType is client-chosen, so it doesn't affect threat)
+ */
+function getThreatMultiplier(player) {
+    if (!player || !Object.hasOwn(THREAT_CONFIG.classMultipliers, player.playerClass)) return 1;
+    return THREAT_CONFIG.classMultipliers[player.playerClass];
+}
+
+/**
+ * Decay a monster's threat table by one AI tick, dropping negligible entries
+ */
+function decayThreat(monsterId) {
+    const threat = monsterThreat[monsterId];
+    if (!threat) return;
+    
+    const factor = Math.pow(1 - THREAT_CONFIG.decayPerSecond, CONFIG.MONSTER_AI_RATE / 1000);
+    for (const odId in threat) {
+        threat[odId] *= factor;
+        if (threat[odId] < THREAT_CONFIG.minThreat) delete threat[odId];
+    }
+    if (Object.keys(threat).length === 0) delete monsterThreat[monsterId];
+}
+
+/**
+ * Pick the player a monster should target: taunter while fixated, otherwise highest threat
+ * on the map, keeping the current target unless someone beats it by the switch threshold
+ * @returns {string|null} odId of the target
+ */
+function selectThreatTarget(monster, mapId, now) {
+    const players = maps[mapId] || {};
+    const isValid = (odId) => players[odId] && isPlayerTargetable(players[odId]);
+    
+    if (monster.tauntedBy && now < monster.tauntEndTime && isValid(monster.tauntedBy)) {
+        return monster.tauntedBy;
+    }
+    
+    const threat = monsterThreat[monster.id];
+    if (!threat) return isValid(monster.targetPlayer) ? monster.targetPlayer : null;
+    
+    let top = null;
+    let topThreat = 0;
+    for (const odId in threat) {
+        if (isValid(odId) && threat[odId] > topThreat) {
+            top = odId;
+            topThreat = threat[odId];
+        }
+    }
+    
+    const current = monster.targetPlayer;
+    if (current && current !== top && isValid(current) && threat[current]) {
+        const threshold = monster.isMiniBoss ? THREAT_CONFIG.bossSwitchThreshold : THREAT_CONFIG.switchThreshold;
+        if (topThreat < threat[current] * threshold) return current;
+    }
+    return top;
+}
+
+/**
+ * Per-tick threat upkeep: decay and retarget monsters that are in combat
+ */
+function updateMonsterThreat(monster, mapId, now) {
+    decayThreat(monster.id);
+    
+    if (monster.aiState !== 'chasing' && monster.aiState !== 'fleeing') return;
+    // Drops the target (chase then times out) if everyone on the table died or left
+    monster.targetPlayer = selectThreatTarget(monster, mapId, now);
+}
+
+/**
+ * Taunt: fixate a monster on the player and give them enough threat to keep it afterwards
+ * @returns {{ success: boolean, reason?: string }}
+ */
+function tauntMonster(mapId, monsterId, player) {
+    if (!THREAT_CONFIG.tauntClasses.includes(player.playerClass)) return { success: false, reason: 'class_cannot_taunt' };
+    const monster = mapMonsters[mapId] && mapMonsters[mapId][monsterId];
+    if (!monster || monster.isDead) return { success: false, reason: 'monster_not_found' };
+    if (monster.aiType === 'static') return { success: false, reason: 'not_tauntable' };
+    
+    const now = Date.now();
+    if (now < (player.nextTauntTime || 0)) return { success: false, reason: 'cooldown' };
+    if (getMonsterPlayerDistance(monster, player) > THREAT_CONFIG.tauntRange) return { success: false, reason: 'out_of_range' };
+    
+    const threat = monsterThreat[monsterId] || {};
+    const topThreat = Math.max(0, ...Object.values(threat));
+    const threshold = monster.isMiniBoss ? THREAT_CONFIG.bossSwitchThreshold : THREAT_CONFIG.switchThreshold;
+    const newThreat = Math.max(topThreat * threshold, THREAT_CONFIG.minThreat * 10);
+    addThreat(monsterId, player.odId, newThreat - (threat[player.odId] || 0));
+    
+    player.nextTauntTime = now + THREAT_CONFIG.tauntCooldown;
+    monster.tauntedBy = player.odId;
+    monster.tauntEndTime = now + THREAT_CONFIG.tauntDuration;
+    monster.aiState = 'chasing';
+    monster.targetPlayer = player.odId;
+    monster.lastInteractionTime = now;
+    
+    io.to(mapId).emit('monsterTaunted', {
+        monsterId,
+        odId: player.odId,
+        duration: THREAT_CONFIG.tauntDuration
+    });
+    return { success: true };
+}
+
+// ============================================
+// PLAYER HEALTH
+// ============================================
+// The server owns player HP: monster contact, projectiles and boss skills deal damage here,
+// and death is declared by the server. Clients may only report lower HP (damage the server
+// doesn't model) or heals at a plausible rate. Max HP is computed here too - client-reported
+// maxHp is ignored.
+
+// Max HP = (class base + perLevel * level + gear hp, capped per level) * headroom
+// The headroom covers HP buffs and formula differences; the client can always report less HP
+const HEALTH_MODEL = {
+    classes: {
+        beginner: { base: 50, perLevel: 12 },
+        warrior: { base: 50, perLevel: 24 },
+        magician: { base: 50, perLevel: 10 },
+        bowman: { base: 50, perLevel: 16 },
+        thief: { base: 50, perLevel: 16 },
+        pirate: { base: 50, perLevel: 20 }
+    },
+    maxGearHpPerLevel: 20,
+    headroom: 1.5
+};
+
+/**
+ * Max HP for the player's class, ledger level and wearable gear
+ */
+function getServerMaxHp(player) {
+    const classModel = Object.hasOwn(HEALTH_MODEL.classes, player.playerClass)
+        ? HEALTH_MODEL.classes[player.playerClass]
+        : HEALTH_MODEL.classes.beginner;
+    const level = player.level || 1;
+    let gearHp = 0;
+    for (const item of Object.values(player.equipped || {})) {
+        if (!item || typeof item !== 'object' || !item.stats) continue;
+        if ((item.levelReq || 0) > level) continue;
+        gearHp += Number(item.stats.hp) || 0;
+    }
+    gearHp = Math.min(Math.max(0, gearHp), HEALTH_MODEL.maxGearHpPerLevel * level);
+    const maxHp = Math.ceil((classModel.base + classModel.perLevel * level + gearHp) * HEALTH_MODEL.headroom);
+    return Math.min(CONFIG.MAX_PLAYER_HP, maxHp);
+}
+
+/**
+ * Recompute max HP after a level or gear change
+ */
+function refreshPlayerMaxHp(player) {
+    player.maxHp = getServerMaxHp(player);
+    player.hp = Math.min(player.hp, player.maxHp);
+}
+
+/**
+ * Set up server-tracked HP from join data (after the ledger level is loaded)
+ */
+function initPlayerHealth(player, hp) {
+    player.maxHp = getServerMaxHp(player);
+    player.hp = Number.isFinite(hp) && hp > 0 ? Math.min(hp, player.maxHp) : player.maxHp;
+    player.isDead = false;
+    player.invincibleUntil = 0;
+    player.lastHpReportTime = Date.now();
+}
+
+/**
+ * Reconcile a client HP report with the server's value
+ * Lower HP is accepted, heals are capped at MAX_CLIENT_HEAL_PER_SECOND and dead players can't heal
+ */
+function applyClientHpReport(player, reportedHp) {
+    const now = Date.now();
+    const elapsedSeconds = (now - (player.lastHpReportTime || now)) / 1000;
+    player.lastHpReportTime = now;
+    
+    if (player.isDead || !Number.isFinite(reportedHp)) return;
+    
+    const clampedHp = Math.max(0, Math.min(reportedHp, player.maxHp));
+    if (clampedHp <= player.hp) {
+        player.hp = clampedHp;
+        return;
+    }
+    
+    const allowedHeal = player.maxHp * CONFIG.MAX_CLIENT_HEAL_PER_SECOND * Math.max(elapsedSeconds, 1);
+    if (clampedHp > player.hp + allowedHeal) {
+        recordViolation(player.odId, 'hp_heal', `reported ${clampedHp}, server ${Math.round(player.hp)}, allowed +${Math.round(allowedHeal)}`);
+        player.hp = Math.min(player.maxHp, player.hp + allowedHeal);
+    } else {
+        player.hp = clampedHp;
+    }
+}
+
+function playersOverlap(player, x, y, width, height) {
+    return player.x < x + width && player.x + CONFIG.PLAYER_WIDTH > x &&
+        player.y < y + height && player.y + CONFIG.PLAYER_HEIGHT > y;
+}
+
+/**
+ * Apply authoritative damage to a player, broadcasting playerDamaged and declaring death at 0 HP
+ * @returns {boolean} true if damage was applied (false while invincible, dead or reconnecting)
+ */
+function damagePlayer(mapId, player, damage, source) {
+    const now = Date.now();
+    if (!isPlayerTargetable(player) || now < (player.invincibleUntil || 0)) return false;
+    
+    const appliedDamage = Math.max(1, Math.floor(damage));
+    // HP that is not a number counts as 0, so a broken value can only end in a death, never invincibility
+    player.hp = Number.isFinite(player.hp) ? Math.max(0, player.hp - appliedDamage) : 0;
+    player.invincibleUntil = now + CONFIG.PLAYER_INVINCIBILITY_TIME;
+    journal('playerDamaged', {
+        mapId, odId: player.odId, damage: appliedDamage, hp: player.hp,
+        sourceType: source.type, monsterId: source.id, x: Math.round(player.x), y: Math.round(player.y)
+    });
+    
+    io.to(mapId).emit('playerDamaged', {
+        odId: player.odId,
+        damage: appliedDamage,
+        hp: player.hp,
+        maxHp: player.maxHp,
+        sourceType: source.type,
+        sourceId: source.id,
+        projectileId: source.projectileId,
+        knockbackDirection: source.x !== undefined ? ((player.x + CONFIG.PLAYER_WIDTH / 2) >= source.x ? 1 : -1) : 0
+    });
+    
+    if (player.hp <= 0) {
+        killPlayer(mapId, player, source.id);
+    }
+    return true;
+}
+
+/**
+ * Server-declared player death
+ */
+function killPlayer(mapId, player, killedBy) {
+    if (player.isDead) return;
+    player.isDead = true;
+    player.hp = 0;
+    player.diedAt = Date.now();
+    
+    console.log(`[Server] ${player.name} died on ${mapId}${killedBy ? ` (killed by ${killedBy})` : ''}`);
+    
+    io.to(mapId).emit('playerDied', {
+        odId: player.odId,
+        name: player.name,
+        x: player.x,
+        y: player.y,
+        killedBy: killedBy || null
+    });
+}
+
+/**
+ * Damage players touching a monster's hitbox
+ */
+function checkMonsterContact(monster, mapId) {
+    if (monster.aiType === 'static' || !monster.damage || !maps[mapId]) return;
+    
+    for (const odId in maps[mapId]) {
+        const player = maps[mapId][odId];
+        if (playersOverlap(player, monster.x, monster.y, monster.width, monster.height)) {
+            damagePlayer(mapId, player, monster.damage, {
+                type: 'contact',
+                id: monster.id,
+                x: monster.x + monster.width / 2
+            });
+        }
+    }
+}
+
+// ============================================
+// BOSS ENCOUNTERS
+// ============================================
+// Scripted bosses are defined in data/bosses.json. A script attaches to a spawning monster
+// whose type is in match.types, or that spawns on a map in match.maps (mini-bosses only
+// when match.miniBossOnly). Phases trigger at HP thresholds and can change speed/damage,
+// summon adds and unlock telegraphed area skills; the boss enrages after enrageAfterMs of combat.
+// Encounter state lives on monster.boss so late joiners get it through currentMonsters.
+const BOSS_SCRIPTS_FILE = path.join(__dirname, 'data', 'bosses.json');
+const BOSS_SKILL_SHAPES = ['circle', 'rect'];
+const BOSS_SKILL_ANCHORS = ['self', 'target'];
+
+/**
+ * Validate boss scripts, returning a list of problems (empty if valid)
+ */
+function validateBossScripts(scripts) {
+    const errors = [];
+    if (!scripts || typeof scripts !== 'object' || Array.isArray(scripts)) {
+        return ['root must be an object of scriptId -> script'];
+    }
+    
+    for (const [scriptId, script] of Object.entries(scripts)) {
+        const where = `bosses.${scriptId}`;
+        const match = script.match || {};
+        if (!Array.isArray(match.types) && !Array.isArray(match.maps)) {
+            errors.push(`${where}.match needs a types or maps array`);
+        }
+        
+        const skills = script.skills || {};
+        for (const [skillId, skill] of Object.entries(skills)) {
+            if (!BOSS_SKILL_SHAPES.includes(skill.shape)) errors.push(`${where}.skills.${skillId}.shape must be one of ${BOSS_SKILL_SHAPES.join(', ')}`);
+            if (skill.anchor !== undefined && !BOSS_SKILL_ANCHORS.includes(skill.anchor)) errors.push(`${where}.skills.${skillId}.anchor must be one of ${BOSS_SKILL_ANCHORS.join(', ')}`);
+            if (skill.shape === 'circle' && !(skill.radius > 0)) errors.push(`${where}.skills.${skillId}.radius must be > 0`);
+            if (skill.shape === 'rect' && !(skill.width > 0 && skill.height > 0)) errors.push(`${where}.skills.${skillId} needs width and height > 0`);
+            for (const field of ['damage', 'telegraphMs', 'cooldownMs']) {
+                if (!Number.isFinite(skill[field]) || skill[field] < 0) errors.push(`${where}.skills.${skillId}.${field} must be a number >= 0`);
+            }
+        }
+        
+        if (!Array.isArray(script.phases) || script.phases.length === 0) {
+            errors.push(`${where}.phases must be a non-empty array`);
+            continue;
+        }
+        let previousThreshold = Infinity;
+        script.phases.forEach((phase, i) => {
+            if (!(phase.hpBelow > 0 && phase.hpBelow <= 1)) errors.push(`${where}.phases[${i}].hpBelow must be in (0, 1]`);
+            if (phase.hpBelow >= previousThreshold) errors.push(`${where}.phases[${i}].hpBelow must be lower than the previous phase`);
+            previousThreshold = phase.hpBelow;
+            for (const skillId of phase.skills || []) {
+                if (!skills[skillId]) errors.push(`${where}.phases[${i}] references unknown skill ${skillId}`);
+            }
+        });
+    }
+    return errors;
+}
+
+/**
+ * Load and validate boss scripts - a broken file stops the server at startup
+ */
+function loadBossScripts() {
+    if (!fs.existsSync(BOSS_SCRIPTS_FILE)) return {};
+    
+    const scripts = JSON.parse(fs.readFileSync(BOSS_SCRIPTS_FILE, 'utf8'));
+    const errors = validateBossScripts(scripts);
+    if (errors.length > 0) {
+        throw new Error(`Invalid boss scripts in ${BOSS_SCRIPTS_FILE}:\n  ${errors.join('\n  ')}`);
+    }
+    console.log(`[Server] Loaded ${Object.keys(scripts).length} boss script(s)`);
+    return scripts;
+}
+
+const bossScripts = loadBossScripts();
+
+/**
+ * Find the boss script for a monster spawning on a map, if any
+ */
+function findBossScript(monster, mapId) {
+    for (const [scriptId, script] of Object.entries(bossScripts)) {
+        const match = script.match || {};
+        if (match.types && match.types.includes(monster.type)) return scriptId;
+        if (match.maps && match.maps.includes(mapId) && (!match.miniBossOnly || monster.isMiniBoss)) return scriptId;
+    }
+    return null;
+}
+
+/**
+ * Attach encounter state to a freshly spawned monster if a boss script matches it
+ */
+function attachBossScript(monster, mapId) {
+    if (monster.isSummon) return;
+    const scriptId = findBossScript(monster, mapId);
+    if (!scriptId) return;
+    
+    monster.boss = {
+        scriptId,
+        phase: 0,
+        phaseName: bossScripts[scriptId].phases[0].name || null,
+        engagedAt: null,
+        enraged: false,
+        baseSpeed: monster.speed,
+        baseDamage: monster.damage,
+        damageMultiplier: 1,
+        speedMultiplier: 1,
+        skillReadyAt: {},
+        nextSkillAt: 0,
+        pendingSkill: null
+    };
+    applyBossPhaseModifiers(monster);
+    console.log(`[Server] Boss script ${scriptId} attached to ${monster.type} (${monster.id}) on ${mapId}`);
+}
+
+/**
+ * Recompute damage/speed from the current phase and enrage state
+ */
+function applyBossPhaseModifiers(monster) {
+    const boss = monster.boss;
+    const script = bossScripts[boss.scriptId];
+    const phase = script.phases[boss.phase];
+    const enrage = boss.enraged ? (script.enrage || {}) : {};
+    
+    boss.damageMultiplier = (phase.damageMultiplier || 1) * (enrage.damageMultiplier || 1);
+    boss.speedMultiplier = (phase.speedMultiplier || 1) * (enrage.speedMultiplier || 1);
+    monster.damage = Math.floor(boss.baseDamage * boss.damageMultiplier);
+    monster.speed = boss.baseSpeed * boss.speedMultiplier;
+}
+
+/**
+ * Spawn adds around a boss (type defaults to a random regular monster from the map's spawners)
+ */
+function summonBossAdds(monster, mapId, summon) {
+    const spawners = (mapSpawnData[mapId]?.monsters || []).filter(sp => sp.type !== monster.type);
+    const count = Math.max(0, Math.min(summon.count || 1, 10));
+    
+    for (let i = 0; i < count; i++) {
+        const type = summon.type || (spawners.length > 0 ? spawners[Math.floor(Math.random() * spawners.length)].type : null);
+        if (!type) return;
+        
+        const offset = (i - (count - 1) / 2) * 80;
+        const add = spawnMonster(mapId, type, {
+            x: Math.max(0, Math.min(monster.mapWidth - 50, monster.x + offset)),
+            y: monster.y + monster.height - (mapSpawnData[mapId]?.monsterTypes?.[type]?.height || 40),
+            isSummon: true
+        });
+        add.summonedBy = monster.id;
+    }
+}
+
+/**
+ * Is a player inside a boss skill's area (centered on the telegraphed position)
+ */
+function isPlayerInSkillArea(player, skill, x, y) {
+    if (skill.shape === 'circle') {
+        const dx = (player.x + CONFIG.PLAYER_WIDTH / 2) - x;
+        const dy = (player.y + CONFIG.PLAYER_HEIGHT / 2) - y;
+        return Math.hypot(dx, dy) <= skill.radius;
+    }
+    return playersOverlap(player, x - skill.width / 2, y - skill.height / 2, skill.width, skill.height);
+}
+
+/**
+ * Per-tick boss script: phase transitions, enrage timer and telegraphed skills
+ */
+function updateBossEncounter(monster, mapId, now) {
+    const boss = monster.boss;
+    if (!boss || !boss.engagedAt) return;
+    const script = bossScripts[boss.scriptId];
+    if (!script) return;
+    
+    // Phase transitions - enter each phase whose threshold has been crossed, in order
+    const hpRatio = monster.hp / monster.maxHp;
+    while (boss.phase + 1 < script.phases.length && hpRatio <= script.phases[boss.phase + 1].hpBelow) {
+        boss.phase++;
+        const phase = script.phases[boss.phase];
+        boss.phaseName = phase.name || null;
+        applyBossPhaseModifiers(monster);
+        
+        io.to(mapId).emit('bossPhaseChanged', {
+            monsterId: monster.id,
+            phase: boss.phase,
+            name: boss.phaseName,
+            announce: phase.announce || null
+        });
+        console.log(`[Server] Boss ${monster.id} entered phase ${boss.phase}${phase.name ? ` (${phase.name})` : ''}`);
+        
+        if (phase.summon) {
+            summonBossAdds(monster, mapId, phase.summon);
+        }
+    }
+    
+    // Enrage after the time limit
+    if (!boss.enraged && script.enrageAfterMs && now - boss.engagedAt >= script.enrageAfterMs) {
+        boss.enraged = true;
+        applyBossPhaseModifiers(monster);
+        io.to(mapId).emit('bossEnraged', {
+            monsterId: monster.id,
+            announce: script.enrage?.announce || null
+        });
+        console.log(`[Server] Boss ${monster.id} enraged`);
+    }
+    
+    // Resolve a telegraphed skill once its wind-up is over
+    if (boss.pendingSkill) {
+        if (now < boss.pendingSkill.executeAt) return;
+        
+        const pending = boss.pendingSkill;
+        const skill = script.skills[pending.skillId];
+        boss.pendingSkill = null;
+        
+        const hits = [];
+        for (const odId in maps[mapId] || {}) {
+            const player = maps[mapId][odId];
+            if (isPlayerInSkillArea(player, skill, pending.x, pending.y) &&
+                damagePlayer(mapId, player, skill.damage * boss.damageMultiplier, { type: 'bossSkill', id: monster.id, x: pending.x })) {
+                hits.push(odId);
+            }
+        }
+        io.to(mapId).emit('bossSkill', { monsterId: monster.id, skillId: pending.skillId, x: pending.x, y: pending.y, hits });
+        return;
+    }
+    
+    // Start the next ready skill from this phase
+    if (now < boss.nextSkillAt) return;
+    const target = monster.targetPlayer && maps[mapId] ? maps[mapId][monster.targetPlayer] : null;
+    const readySkills = (script.phases[boss.phase].skills || []).filter(id => now >= (boss.skillReadyAt[id] || 0));
+    if (!target || readySkills.length === 0) return;
+    
+    const skillId = readySkills[Math.floor(Math.random() * readySkills.length)];
+    const skill = script.skills[skillId];
+    const anchoredOnTarget = skill.anchor === 'target';
+    
+    boss.pendingSkill = {
+        skillId,
+        shape: skill.shape,
+        radius: skill.radius,
+        width: skill.width,
+        height: skill.height,
+        x: anchoredOnTarget ? target.x + CONFIG.PLAYER_WIDTH / 2 : monster.x + monster.width / 2,
+        y: anchoredOnTarget ? target.y + CONFIG.PLAYER_HEIGHT / 2 : monster.y + monster.height / 2,
+        telegraphMs: skill.telegraphMs,
+        executeAt: now + skill.telegraphMs // Server clock - use telegraphMs for client timing
+    };
+    boss.skillReadyAt[skillId] = now + skill.cooldownMs;
+    boss.nextSkillAt = now + skill.telegraphMs + (script.globalCooldownMs || 0);
+    
+    io.to(mapId).emit('bossTelegraph', { monsterId: monster.id, ...boss.pendingSkill });
+}
+
+/**
+ * Broadcast monster positions to all players
+ * Y is authoritative on maps with server geometry, otherwise it is the spawn reference position
+ */
+function broadcastMonsterPositions() {
+    const serverTime = Date.now();
+    
     for (const mapId in mapMonsters) {
-        // Update monsters regardless of player presence (server runs independently)
-        // Only skip if map has never been initialized
-        if (!mapMonsters[mapId]) continue;
+        if (!maps[mapId] || Object.keys(maps[mapId]).length === 0) continue;
+        
+        const monsterPositions = [];
+        for (const monsterId in mapMonsters[mapId]) {
+            const m = mapMonsters[mapId][monsterId];
+            if (m.isDead) continue;
+            
+            monsterPositions.push({
+                id: m.id,
+                x: m.x,
+                y: m.y,           // Sync Y so all clients share same reference position
+                facing: m.facing,
+                direction: m.direction,
+                aiState: m.aiState,
+                velocityX: m.velocityX || 0,
+                velocityY: m.velocityY || 0,  // Sync Y velocity for jump state detection
+                isJumping: m.isJumping || false,
+                t: serverTime // Timestamp for client-side lag compensation
+            });
+        }
+        
+        if (monsterPositions.length > 0) {
+            io.to(mapId).emit('monsterPositions', { monsters: monsterPositions, t: serverTime });
+        }
+    }
+}
+
+/**
+ * Handle monster damage from a player (with prediction reconciliation)
+ */
+function damageMonster(mapId, monsterId, damage, attackerId, attackDirection, seq, predictedHp, attackType, isCritical) {
+    if (!mapMonsters[mapId] || !mapMonsters[mapId][monsterId]) return null;
+    
+    const monster = mapMonsters[mapId][monsterId];
+    if (monster.isDead) return null;
+    
+    // Anti-cheat: Rate limit attacks
+    const attacker = maps[mapId] && maps[mapId][attackerId];
+    if (!checkRateLimit(attackerId, 'attacks', CONFIG.MAX_ATTACKS_PER_SECOND)) {
+        journalAttack(mapId, attacker, monster, { seq, attackType, claimed: damage, outcome: 'rate_limited' });
+        return { rateLimited: true };
+    }
+    
+    // Anti-cheat: Validate damage against what this player could plausibly deal
+    if (!attacker) return null;
+    const damageCheck = validateDamage(damage, attacker, attackType);
+    if (damageCheck.rejected) {
+        journalAttack(mapId, attacker, monster, { seq, attackType, claimed: damage, expectedMax: damageCheck.expectedMax, outcome: 'rejected' });
+        return { rejected: true };
+    }
+    // The violation behind a capped hit can kick the attacker - they get no credit for it
+    if (!maps[mapId] || maps[mapId][attackerId] !== attacker) return null;
+    const validatedDamage = damageCheck.damage;
+    if (validatedDamage === 0) {
+        return null;
+    }
+    
+    // Track damage for loot distribution
+    if (!monsterDamage[monsterId]) {
+        monsterDamage[monsterId] = Object.create(null);
+    }
+    monsterDamage[monsterId][attackerId] = (monsterDamage[monsterId][attackerId] || 0) + validatedDamage;
+    
+    // Apply damage (use validated damage)
+    monster.hp -= validatedDamage;
+    monster.lastUpdate = Date.now();
+    
+    // First hit starts a scripted boss encounter (and its enrage timer)
+    if (monster.boss && !monster.boss.engagedAt) {
+        monster.boss.engagedAt = Date.now();
+        io.to(mapId).emit('bossEngaged', { monsterId, enrageAfterMs: bossScripts[monster.boss.scriptId].enrageAfterMs || null });
+    }
+    
+    // Build threat and chase the highest-threat player (aggro)
+    addThreat(monsterId, attackerId, validatedDamage * getThreatMultiplier(attacker));
+    if (monster.aiType !== 'static') {
+        monster.aiState = 'chasing';
+        monster.targetPlayer = selectThreatTarget(monster, mapId, Date.now()) || attackerId;
+        monster.lastInteractionTime = Date.now();
+    }
+    
+    // Calculate knockback (only for non-static monsters)
+    let knockbackVelocityX = 0;
+    if (monster.aiType !== 'static' && attackDirection !== undefined) {
+        // Knockback force: 6 units in the direction the player is facing (matches client KNOCKBACK_FORCE)
+        const knockbackForce = 6;
+        knockbackVelocityX = attackDirection * knockbackForce;
+        
+        // Actually apply knockback displacement to server position
+        // Apply knockback over multiple frames worth (30 pixels = ~5 server ticks worth of knockback)
+        const knockbackDistance = knockbackForce * 5;
+        const newX = monster.x + (attackDirection * knockbackDistance);
+        
+        // Clamp to patrol bounds
+        if (monster.patrolMinX !== undefined && monster.patrolMaxX !== undefined) {
+            monster.x = Math.max(monster.patrolMinX, Math.min(monster.patrolMaxX, newX));
+        } else {
+            monster.x = newX;
+        }
+        
+        // Set knockback state to prevent AI from immediately moving back
+        monster.knockbackEndTime = Date.now() + 500; // 500ms knockback duration
+        
+        if (DEBUG) console.log(`[Server] Knockback applied: monster ${monsterId} moved to x=${monster.x}, knockbackVelocityX=${knockbackVelocityX}`);
+    }
+    
+    // Check for prediction mismatch (only if client sent predicted HP)
+    let correction = null;
+    const HP_CORRECTION_THRESHOLD = 50;
+    if (predictedHp !== undefined && seq) {
+        const hpDifference = Math.abs(monster.hp - predictedHp);
+        if (hpDifference > HP_CORRECTION_THRESHOLD) {
+            console.log(`[Prediction] HP mismatch for seq=${seq}: predicted=${predictedHp}, actual=${monster.hp}, diff=${hpDifference}`);
+            correction = {
+                correctHp: monster.hp,
+                maxHp: monster.maxHp
+            };
+        }
+    }
+    
+    // Broadcast damage to all players on map (use validated damage)
+    // Include sequence number so attacker can reconcile their prediction
+    io.to(mapId).emit('monsterDamaged', {
+        id: monsterId,
+        seq: seq, // Include sequence number for prediction reconciliation
+        damage: validatedDamage,
+        currentHp: monster.hp,
+        maxHp: monster.maxHp,
+        attackerId: attackerId,
+        knockbackVelocityX: knockbackVelocityX,
+        isCritical: !!isCritical && !damageCheck.capped // A capped hit is shown as a normal hit
+    });
+    
+    journalAttack(mapId, attacker, monster, {
+        seq, attackType, claimed: damage, damage: validatedDamage, isCritical: !!isCritical,
+        expectedMax: damageCheck.expectedMax, hp: monster.hp, outcome: damageCheck.capped ? 'capped' : 'hit'
+    });
+    
+    // Check for death
+    if (monster.hp <= 0) {
+        return killMonster(mapId, monsterId);
+    }
+    
+    // Return result with any correction needed
+    return { monster, killed: false, correction: correction, capped: damageCheck.capped };
+}
+
+/**
+ * Journal an attack attempt with both sides' server-known positions
+ */
+function journalAttack(mapId, player, monster, details) {
+    journal('attack', {
+        mapId,
+        odId: player ? player.odId : null,
+        monsterId: monster.id,
+        monsterType: monster.type,
+        x: player ? Math.round(player.x) : null,
+        y: player ? Math.round(player.y) : null,
+        monsterX: Math.round(monster.x),
+        monsterY: Math.round(monster.y),
+        ...details
+    });
+}
+
+/**
+ * Kill a monster and determine loot recipient
+ */
+function killMonster(mapId, monsterId) {
+    if (!mapMonsters[mapId] || !mapMonsters[mapId][monsterId]) return null;
+    
+    const monster = mapMonsters[mapId][monsterId];
+    monster.isDead = true;
+    monster.hp = 0;
+    
+    // Clean up elite tracking for this map if the elite monster died
+    if (monster.isEliteMonster && currentEliteMonsters[mapId] === monsterId) {
+        delete currentEliteMonsters[mapId];
+    }
+    
+    // Find player who dealt most damage
+    const damageMap = monsterDamage[monsterId] || {};
+    let topDamager = null;
+    let topDamage = 0;
+    
+    for (const [odId, damage] of Object.entries(damageMap)) {
+        if (damage > topDamage) {
+            topDamage = damage;
+            topDamager = odId;
+        }
+    }
+    
+    console.log(`[Server] Monster ${monsterId} (${monster.type}) killed. Top damager: ${topDamager} with ${topDamage} damage`);
+    
+    // Everyone who hit the monster gets EXP by damage share
+    const contributions = computeContributions(mapId, monster, damageMap);
+    
+    // Generate drops server-side for consistency: bosses and elites roll personal drops
+    // for each big enough contributor, everything else drops one set for the loot recipient
+    let drops;
+    let lootAssignment;
+    if (hasPersonalLoot(monster)) {
+        drops = rollPersonalDrops(mapId, monster, monsterId, contributions);
+        lootAssignment = { partyId: null, rollDrops: [] };
+    } else {
+        drops = generateMonsterDrops(mapId, monster, monsterId);
+        // Reserved for the loot recipient (and their party, per its loot mode) for a while
+        lootAssignment = assignPartyLoot(mapId, drops, topDamager);
+    }
+    
+    journal('kill', {
+        mapId, monsterId, monsterType: monster.type, x: Math.round(monster.x), y: Math.round(monster.y),
+        lootRecipient: topDamager,
+        odIds: contributions.map(c => c.odId),
+        contributions: contributions.map(c => ({ odId: c.odId, damage: c.damage, share: c.share, exp: c.exp }))
+    });
+    
+    // Register all drops in server ground item tracking for pickup validation
+    for (const drop of drops) {
+        drop.provenanceId = createProvenance({ type: 'monster', mapId, monsterId, monsterType: monster.type }, drop, drop.id);
+        journal('drop', {
+            mapId, monsterId, itemId: drop.id, provenanceId: drop.provenanceId, name: drop.name, amount: drop.amount,
+            rare: drop.rare || false, ownerId: drop.ownerId || null, x: Math.round(drop.x), y: Math.round(drop.y)
+        });
+        addGroundItem(mapId, drop.id, {
+            name: drop.name,
+            x: drop.x,
+            y: drop.y,
+            amount: drop.amount,
+            monsterId: monsterId,
+            provenanceId: drop.provenanceId,
+            droppedBy: '__monster__',
+            ownerId: drop.ownerId,
+            ownerPartyId: drop.ownerPartyId,
+            reservedUntil: drop.reservedUntil,
+            rollPending: drop.rollPending || false
+        });
+    }
+    
+    // Find party members of the killer for shared EXP
+    const partyMembers = getPartyMembersOnMap(mapId, topDamager);
+    
+    // Broadcast death to all players with drops and party info
+    io.to(mapId).emit('monsterKilled', {
+        id: monsterId,
+        type: monster.type,
+        x: monster.x,
+        y: monster.y,
+        lootRecipient: topDamager, // Player who gets the loot
+        drops: drops, // Server-generated drops
+        partyMembers: partyMembers, // Party members who get shared EXP
+        expAwards: contributions, // Per-player damage share and EXP earned
+        isEliteMonster: monster.isEliteMonster || false, // Elite status for client effects
+        isShiny: monster.isShiny || false // Shiny status for client effects
+    });
+    announcePartyLoot(mapId, monsterId, lootAssignment);
+    awardKillExp(mapId, monster, contributions);
+    
+    // Clean up damage and threat tracking
+    delete monsterDamage[monsterId];
+    delete monsterThreat[monsterId];
+    
+    // Skip respawn for Party Quest maps and boss summons - monsters should not respawn
+    if (mapId.startsWith('pq') || monster.isSummon) {
+        console.log(`[Server] ${monster.isSummon ? 'Summoned add' : `PQ map ${mapId}`} - skipping respawn for ${monster.type}`);
+        // Remove monster immediately (no respawn timer)
+        setTimeout(() => {
+            if (mapMonsters[mapId] && mapMonsters[mapId][monsterId]) {
+                delete mapMonsters[mapId][monsterId];
+            }
+        }, 1000); // Short delay to let death animation play
+        return { monster, killed: true, lootRecipient: topDamager };
+    }
+    
+    // Schedule respawn (keep monster data for animation timing)
+    const respawnTime = monster.isMiniBoss ? CONFIG.BOSS_RESPAWN_TIME : CONFIG.RESPAWN_TIME;
+    
+    // Store spawn info for respawn - don't use exact spawn coords, let it randomize
+    // Use stored surface bounds if available, otherwise reconstruct from patrol
+    const respawnData = {
+        // Don't set x/y - let spawnMonster randomize within surface bounds
+        surfaceX: monster.patrolSurfaceX !== undefined ? monster.patrolSurfaceX : monster.patrolMinX - 20,
+        surfaceWidth: monster.patrolSurfaceWidth !== undefined ? monster.patrolSurfaceWidth : (monster.patrolMaxX + 20) - (monster.patrolMinX - 20),
+        y: monster.spawnY, // Use same Y as original spawn
+        mapWidth: monster.mapWidth,
+        groundY: monster.groundY,
+        maxHp: monster.maxHp
+    };
+    
+    // Store monster type for respawn (in case map data is cleared)
+    const monsterType = monster.type;
+    
+    setTimeout(() => {
+        // SAFETY CHECK: Make sure map still exists before trying to delete/respawn
+        // This prevents crashes when map is cleaned up while respawn is pending
+        if (!mapMonsters[mapId]) {
+            console.log(`[Server] Map ${mapId} no longer exists, skipping respawn for ${monsterId}`);
+            return;
+        }
+        
+        // Remove dead monster (with additional safety check)
+        if (mapMonsters[mapId][monsterId]) {
+            delete mapMonsters[mapId][monsterId];
+        }
+        
+        // Spawn replacement if map still has players
+        if (maps[mapId] && Object.keys(maps[mapId]).length > 0) {
+            // Respawn with randomized position on same surface
+            spawnMonster(mapId, monsterType, respawnData);
+        }
+    }, respawnTime);
+    
+    return { monster, killed: true, lootRecipient: topDamager };
+}
+
+// ============================================
+// LOOT TABLES
+// ============================================
+// Server-owned drop tables live in data/lootTables.json:
+//   tables   - named tables: { guaranteed: [entry], groups: [{ chance, rolls, entries: [entry + weight] }] }
+//   monsters - { monsterType: [tableName] } (types without tables fall back to the client's loot list)
+//   global   - [tableName] rolled for every monster that has loot
+//   elite    - { tables, dropRateMultiplier, goldMultiplier } for elite monsters
+//   maps     - { mapId or 'prefix*': { tables, dropRateMultiplier, goldMultiplier } }
+//   events   - { eventName: { enabled, start, end, maps, tables, dropRateMultiplier, goldMultiplier } }
+// Entries are { name, min, max } - for Gold min/max is the amount, otherwise the number of drops.
+// Drop rate and gold multipliers (elite x map x events) apply to the monster's own loot;
+// shared tables (global, elite, map, event) roll at the rates they define.
+// Tables are validated on load and can be reloaded at runtime (SIGHUP or gmReloadLootTables).
+const LOOT_TABLES_FILE = path.join(__dirname, 'data', 'lootTables.json');
+const MAX_DROPS_PER_ENTRY = 50;
+const RARE_DROP_CHANCE = 0.05; // Drops rolled at or below this chance (or entries with rare: true) are rare
+
+/**
+ * Validate loot table data, returning a list of problems (empty if valid)
+ */
+function validateLootTables(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object') return ['root must be an object'];
+    
+    const tables = data.tables || {};
+    const checkEntry = (entry, where, weighted) => {
+        if (!entry || typeof entry !== 'object') return errors.push(`${where} must be an object`);
+        if (entry.name !== null && (typeof entry.name !== 'string' || entry.name.length === 0)) errors.push(`${where}.name must be a string (or null for "nothing")`);
+        const min = entry.min === undefined ? 1 : entry.min;
+        const max = entry.max === undefined ? min : entry.max;
+        if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < min) errors.push(`${where} needs integer 0 <= min <= max`);
+        if (entry.name !== 'Gold' && max > MAX_DROPS_PER_ENTRY) errors.push(`${where}.max exceeds ${MAX_DROPS_PER_ENTRY} drops`);
+        if (weighted && entry.weight !== undefined && !(entry.weight > 0)) errors.push(`${where}.weight must be > 0`);
+        if (entry.rare !== undefined && typeof entry.rare !== 'boolean') errors.push(`${where}.rare must be a boolean`);
+    };
+    const checkTableRefs = (refs, where) => {
+        if (refs === undefined) return;
+        if (!Array.isArray(refs)) return errors.push(`${where} must be an array of table names`);
+        for (const ref of refs) {
+            if (!tables[ref]) errors.push(`${where} references unknown table ${ref}`);
+        }
+    };
+    const checkMultipliers = (obj, where) => {
+        for (const field of ['dropRateMultiplier', 'goldMultiplier', 'expMultiplier']) {
+            if (obj[field] !== undefined && !(obj[field] >= 0)) errors.push(`${where}.${field} must be a number >= 0`);
+        }
+    };
+    
+    for (const [tableName, table] of Object.entries(tables)) {
+        const where = `tables.${tableName}`;
+        (table.guaranteed || []).forEach((entry, i) => checkEntry(entry, `${where}.guaranteed[${i}]`, false));
+        (table.groups || []).forEach((group, i) => {
+            const groupWhere = `${where}.groups[${i}]`;
+            if (group.chance !== undefined && !(group.chance >= 0 && group.chance <= 1)) errors.push(`${groupWhere}.chance must be in [0, 1]`);
+            if (group.rolls !== undefined && !(Number.isInteger(group.rolls) && group.rolls >= 1)) errors.push(`${groupWhere}.rolls must be an integer >= 1`);
+            if (!Array.isArray(group.entries) || group.entries.length === 0) errors.push(`${groupWhere}.entries must be a non-empty array`);
+            else group.entries.forEach((entry, j) => checkEntry(entry, `${groupWhere}.entries[${j}]`, true));
+        });
+    }
+    
+    for (const [type, refs] of Object.entries(data.monsters || {})) checkTableRefs(refs, `monsters.${type}`);
+    checkTableRefs(data.global, 'global');
+    if (data.elite) {
+        checkTableRefs(data.elite.tables, 'elite.tables');
+        checkMultipliers(data.elite, 'elite');
+    }
+    for (const [mapKey, mapMods] of Object.entries(data.maps || {})) {
+        checkTableRefs(mapMods.tables, `maps.${mapKey}.tables`);
+        checkMultipliers(mapMods, `maps.${mapKey}`);
+    }
+    for (const [eventName, event] of Object.entries(data.events || {})) {
+        const where = `events.${eventName}`;
+        checkTableRefs(event.tables, `${where}.tables`);
+        checkMultipliers(event, where);
+        if (event.maps !== undefined && (!Array.isArray(event.maps) || event.maps.some(key => typeof key !== 'string' || key.length === 0))) {
+            errors.push(`${where}.maps must be an array of map ids or 'prefix*' keys`);
+        }
+        for (const field of ['start', 'end']) {
+            if (event[field] !== undefined && isNaN(Date.parse(event[field]))) errors.push(`${where}.${field} must be an ISO date`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Read and validate the loot table file
+ * @throws {Error} if the file is unreadable or invalid
+ */
+function readLootTables() {
+    const data = JSON.parse(fs.readFileSync(LOOT_TABLES_FILE, 'utf8'));
+    const errors = validateLootTables(data);
+    if (errors.length > 0) {
+        throw new Error(`Invalid loot tables in ${LOOT_TABLES_FILE}:\n  ${errors.join('\n  ')}`);
+    }
+    return data;
+}
+
+// Loaded at startup - a broken file stops the server here rather than failing at the first kill
+let lootTables = readLootTables();
+console.log(`[Server] Loaded ${Object.keys(lootTables.tables || {}).length} loot table(s)`);
+
+/**
+ * Reload loot tables without a restart, keeping the current tables if the new file is invalid
+ * @returns {{ success: boolean, errors?: string[] }}
+ */
+function reloadLootTables() {
+    try {
+        lootTables = readLootTables();
+        console.log(`[Server] Reloaded ${Object.keys(lootTables.tables || {}).length} loot table(s)`);
+        return { success: true };
+    } catch (e) {
+        console.error(`[Server] Loot table reload failed, keeping previous tables: ${e.message}`);
+        return { success: false, errors: e.message.split('\n').slice(1).map(line => line.trim()) };
+    }
+}
+
+function isLootEventActive(event, mapId, now) {
+    if (!event.enabled) return false;
+    if (event.start && now < Date.parse(event.start)) return false;
+    if (event.end && now > Date.parse(event.end)) return false;
+    if (event.maps && !event.maps.some(key => matchesMapKey(mapId, key))) return false;
+    return true;
+}
+
+/**
+ * Map keys match exactly, or by prefix when they end in '*'
+ */
+function matchesMapKey(mapId, key) {
+    return key.endsWith('*') ? mapId.startsWith(key.slice(0, -1)) : mapId === key;
+}
+
+/**
+ * Collect the multipliers and shared tables that apply to a kill
+ */
+function getLootModifiers(mapId, monster) {
+    const now = Date.now();
+    const modifiers = { dropRate: 1, gold: 1, tables: [...(lootTables.global || [])] };
+    const apply = (source) => {
+        modifiers.dropRate *= source.dropRateMultiplier === undefined ? 1 : source.dropRateMultiplier;
+        modifiers.gold *= source.goldMultiplier === undefined ? 1 : source.goldMultiplier;
+        modifiers.tables.push(...(source.tables || []));
+    };
+    
+    if (monster.isEliteMonster && lootTables.elite) apply(lootTables.elite);
+    for (const [mapKey, mapMods] of Object.entries(lootTables.maps || {})) {
+        if (matchesMapKey(mapId, mapKey)) apply(mapMods);
+    }
+    for (const event of Object.values(lootTables.events || {})) {
+        if (isLootEventActive(event, mapId, now)) apply(event);
+    }
+    return modifiers;
+}
+
+function rollQuantity(entry) {
+    const min = entry.min === undefined ? 1 : entry.min;
+    const max = entry.max === undefined ? min : entry.max;
+    return Math.floor(min + Math.random() * (max - min + 1));
+}
+
+function pickWeightedEntry(entries) {
+    const totalWeight = entries.reduce((sum, entry) => sum + (entry.weight || 1), 0);
+    let roll = Math.random() * totalWeight;
+    for (const entry of entries) {
+        roll -= entry.weight || 1;
+        if (roll < 0) return entry;
+    }
+    return entries[entries.length - 1];
+}
+
+/**
+ * Roll one table into [{ name, amount, rare }] rewards (amount = gold amount or number of drops)
+ */
+function rollLootTable(table, dropRate = 1, goldMultiplier = 1) {
+    const rewards = [];
+    const add = (entry, multiplyGold, chance) => {
+        if (!entry.name) return;
+        const quantity = rollQuantity(entry);
+        if (quantity <= 0) return;
+        const amount = entry.name === 'Gold' && multiplyGold ? Math.floor(quantity * goldMultiplier) : quantity;
+        const rare = entry.name !== 'Gold' && (entry.rare === true || chance <= RARE_DROP_CHANCE);
+        rewards.push({ name: entry.name, amount, rare });
+    };
+    
+    for (const entry of table.guaranteed || []) add(entry, false, 1);
+    for (const group of table.groups || []) {
+        const chance = Math.min(1, (group.chance === undefined ? 1 : group.chance) * dropRate);
+        for (let i = 0; i < (group.rolls || 1); i++) {
+            if (Math.random() < chance) add(pickWeightedEntry(group.entries), true, chance);
+        }
+    }
+    return rewards;
+}
+
+function clientGoldEntry(loot) {
+    const min = Math.max(1, Math.floor(Number(loot.min) || 1));
+    return { name: 'Gold', min, max: Math.max(min, Math.floor(Number(loot.max) || 10)) };
+}
+
+/**
+ * Generate drops for a monster (server-side for consistency)
+ * Uses the monster type's server tables, falling back to the client-sent loot list
+ */
+function generateMonsterDrops(mapId, monster, monsterId) {
+    const monsterTypeData = mapSpawnData[mapId]?.monsterTypes?.[monster.type];
+    const monsterTables = lootTables.monsters && Object.hasOwn(lootTables.monsters, monster.type) ? lootTables.monsters[monster.type] : null;
+    const ownTableNames = Array.isArray(monsterTables) ? monsterTables : null;
+    const clientLoot = Array.isArray(monsterTypeData?.loot) ? monsterTypeData.loot : null;
+    
+    // Monsters with no loot at all (test dummies etc.) drop nothing, not even shared tables
+    if (!ownTableNames && !clientLoot) {
+        return [];
+    }
+    
+    const modifiers = getLootModifiers(mapId, monster);
+    const rewards = [];
+    
+    if (ownTableNames) {
+        for (const tableName of ownTableNames) {
+            rewards.push(...rollLootTable(lootTables.tables[tableName], modifiers.dropRate, modifiers.gold));
+        }
+    } else {
+        // Client-sent loot: one independent roll per entry
+        const clientTable = {
+            groups: clientLoot
+                .filter(loot => loot && typeof loot.name === 'string')
+                .map(loot => ({
+                    chance: Math.max(0, Math.min(1, Number(loot.rate) || 0.1)),
+                    entries: [loot.name === 'Gold' ? clientGoldEntry(loot) : { name: loot.name }]
+                }))
+        };
+        rewards.push(...rollLootTable(clientTable, modifiers.dropRate, modifiers.gold));
+    }
+    
+    for (const tableName of modifiers.tables) {
+        rewards.push(...rollLootTable(lootTables.tables[tableName]));
+    }
+    
+    // Gold is one pile per reward; items are one drop each
+    const pending = [];
+    for (const reward of rewards) {
+        if (reward.name === 'Gold') {
+            pending.push({ name: 'Gold', amount: reward.amount });
+        } else {
+            for (let i = 0; i < Math.min(reward.amount, MAX_DROPS_PER_ENTRY); i++) pending.push({ name: reward.name, rare: reward.rare });
+        }
+    }
+    
+    // Fan drops out around the monster's center
+    const baseX = monster.x + (monster.width || 40) / 2;
+    const baseY = monster.y + (monster.height || 40) / 2;
+    return pending.map((drop, dropIndex) => ({
+        id: `drop_${Date.now()}_${dropIndex}_${Math.random().toString(36).substr(2, 9)}`,
+        name: drop.name,
+        x: baseX + (dropIndex - (pending.length - 1) / 2) * 15,
+        y: baseY,
+        ...(drop.amount !== undefined ? { amount: drop.amount } : {}),
+        ...(drop.rare ? { rare: true } : {}),
+        velocityX: (Math.random() * 4) - 2, // -2 to 2
+        velocityY: -3 - (Math.random() * 2) // -3 to -5 (upward)
+    }));
+}
+
+// ============================================
+// GROUND ITEMS
+// ============================================
+
+/**
+ * Track an item on the ground, despawning the oldest items if the map is over its caps
+ * Player drops have their own cap and are evicted before monster drops when the map is full
+ */
+function addGroundItem(mapId, itemId, item) {
+    if (!mapGroundItems[mapId]) mapGroundItems[mapId] = Object.create(null);
+    const items = mapGroundItems[mapId];
+    const now = Date.now();
+    items[itemId] = {
+        ...item,
+        expiresAt: now + CONFIG.GROUND_ITEM_LIFETIME,
+        timestamp: now
+    };
+    
+    // Insertion order is drop order, so the first keys are the oldest
+    const itemIds = Object.keys(items);
+    const isPlayerDrop = (id) => items[id].droppedBy !== '__monster__';
+    const playerDropIds = itemIds.filter(isPlayerDrop);
+    const evicted = playerDropIds.slice(0, Math.max(0, playerDropIds.length - CONFIG.MAX_PLAYER_DROPS_PER_MAP));
+    const excess = itemIds.length - evicted.length - CONFIG.MAX_GROUND_ITEMS_PER_MAP;
+    if (excess > 0) {
+        const candidates = [
+            ...playerDropIds.slice(evicted.length),
+            ...itemIds.filter(id => !isPlayerDrop(id))
+        ];
+        evicted.push(...candidates.slice(0, excess));
+    }
+    if (evicted.length > 0) {
+        for (const id of evicted) {
+            provenanceDespawn(mapGroundItems[mapId][id]);
+            delete mapGroundItems[mapId][id];
+        }
+        io.to(mapId).emit('itemExpired', { itemIds: evicted, reason: 'map_cap' });
+        if (DEBUG) console.log(`[Server] Map ${mapId} over ground item cap, despawned ${evicted.length} item(s)`);
+    }
+}
+
+/**
+ * Whether a player may pick up an item: anyone once the reservation ends,
+ * before that only the owner and members of the owner's party
+ */
+function canPickUpGroundItem(item, player, now) {
+    if (!item.ownerId || now >= item.reservedUntil) return true;
+    if (item.ownerId === player.odId) return true;
+    return !!item.ownerPartyId && item.ownerPartyId === player.partyId;
+}
+
+/**
+ * Despawn items that have been on the ground longer than GROUND_ITEM_LIFETIME
+ */
+function expireGroundItems() {
+    const now = Date.now();
+    for (const mapId in mapGroundItems) {
+        const expired = [];
+        for (const [itemId, item] of Object.entries(mapGroundItems[mapId])) {
+            if (now >= item.expiresAt) {
+                provenanceDespawn(item);
+                delete mapGroundItems[mapId][itemId];
+                expired.push(itemId);
+            }
+        }
+        if (expired.length > 0) {
+            io.to(mapId).emit('itemExpired', { itemIds: expired, reason: 'timeout' });
+            if (DEBUG) console.log(`[Server] Despawned ${expired.length} ground item(s) on ${mapId}`);
+        }
+    }
+}
+
+// ============================================
+// ITEM PROVENANCE
+// ============================================
+// Every ground item the server creates gets a provenance record: where it came from,
+// who has held it and when it moved. The record id travels with the item (drops,
+// pickups, playerDropItem), so a player can only drop what the server saw them pick up.
+// Items from before the ledger (old inventories, quest and shop items) and items whose
+// record was pruned have no record; they drop as 'legacy' items and are tracked from then on.
+// Gold is fungible and tracked as a per-character balance instead.
+
+const PROVENANCE_CONFIG = {
+    saveInterval: 10000,                    // ms between ledger writes
+    retention: 7 * 24 * 60 * 60 * 1000,     // Records no longer held by anyone are pruned after this
+    heldRetention: 30 * 24 * 60 * 60 * 1000, // Held records that haven't moved are pruned after this
+    maxHistory: 50,                         // Movements kept per record
+    maxFlags: 1000                          // Oldest flags are dropped beyond this
+};
+const ITEM_LEDGER_FILE = 'itemLedger.json';
+
+// Structure: { items: { provenanceId: { id, name, amount, origin, holder, state, groundItemId, rarity, history, updatedAt } },
+//              gold: { odId: balance }, flags: [{ id, provenanceId, odId, name, reason, details, at }] }
+const itemLedger = readStorageJson(ITEM_LEDGER_FILE, { items: {}, gold: {}, flags: [] });
+itemLedger.items = toKeyedStore(itemLedger.items);
+itemLedger.gold = toKeyedStore(itemLedger.gold);
+let itemLedgerDirty = false;
+let itemLedgerSaving = false;
+
+// Ground item id -> provenance id, for spotting the same ground item picked up twice
+const provenanceByGroundId = {};
+
+// Items on the ground when the server stopped are gone
+for (const record of Object.values(itemLedger.items)) {
+    if (record.state === 'ground') record.state = 'despawned';
+    if (record.groundItemId) provenanceByGroundId[record.groundItemId] = record.id;
+}
+console.log(`[Server] Loaded item ledger with ${Object.keys(itemLedger.items).length} record(s), ${itemLedger.flags.length} flag(s)`);
+
+function recordProvenanceEvent(record, event, odId, mapId) {
+    record.history.push({ event, odId: odId || null, mapId: mapId || null, at: Date.now() });
+    if (record.history.length > PROVENANCE_CONFIG.maxHistory) record.history.shift();
+    record.updatedAt = Date.now();
+    itemLedgerDirty = true;
+}
+
+/**
+ * Create a provenance record for an item about to be placed on the ground
+ * @param {Object} origin - { type: 'monster'|'player'|'split'|'gm'|'legacy'|'unverified', mapId, monsterId, odId, parentId }
+ * @returns {string} Provenance id
+ */
+function createProvenance(origin, item, groundItemId) {
+    const id = `prov_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+    const record = {
+        id,
+        name: item.name,
+        amount: item.amount || 1,
+        rarity: item.rarity || null,
+        origin: { ...origin, at: Date.now() },
+        holder: null,
+        state: 'ground',
+        groundItemId,
+        history: [],
+        updatedAt: Date.now()
+    };
+    itemLedger.items[id] = record;
+    provenanceByGroundId[groundItemId] = id;
+    recordProvenanceEvent(record, 'created', origin.odId, origin.mapId);
+    return id;
+}
+
+/**
+ * Record a suspicious item event for GM review
+ */
+function flagItem(provenanceId, odId, name, reason, details) {
+    const flag = {
+        id: `flag_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+        provenanceId: provenanceId || null,
+        odId,
+        name,
+        reason,
+        details: details || null,
+        at: Date.now()
+    };
+    itemLedger.flags.push(flag);
+    if (itemLedger.flags.length > PROVENANCE_CONFIG.maxFlags) itemLedger.flags.shift();
+    itemLedgerDirty = true;
+    
+    console.warn(`[Security] Item flag for ${odId}: ${reason} (${name}${details ? `, ${details}` : ''})`);
+    journal('itemFlag', { odId, provenanceId: flag.provenanceId, name, reason, details: flag.details });
+    return flag;
+}
+
+/**
+ * A player picked up a ground item: they now hold it (or its gold)
+ */
+function provenancePickup(groundItem, player, mapId) {
+    const record = itemLedger.items[groundItem.provenanceId];
+    if (!record) return;
+    
+    if (record.state === 'held') {
+        flagItem(record.id, player.odId, record.name, 'double_pickup', `already held by ${record.holder}`);
+    }
+    recordProvenanceEvent(record, 'pickedUp', player.odId, mapId);
+    
+    if (groundItem.name === 'Gold') {
+        // Gold merges into the balance; the record only documents where it came from
+        record.state = 'consumed';
+        record.holder = null;
+        itemLedger.gold[player.odId] = (itemLedger.gold[player.odId] || 0) + (groundItem.amount || 0);
+    } else {
+        record.state = 'held';
+        record.holder = player.odId;
+    }
+}
+
+/**
+ * Move gold between balances when party gold is split on pickup
+ */
+function transferGold(fromOdId, toOdId, amount) {
+    if (!(amount > 0)) return;
+    itemLedger.gold[fromOdId] = Math.max(0, (itemLedger.gold[fromOdId] || 0) - amount);
+    itemLedger.gold[toOdId] = (itemLedger.gold[toOdId] || 0) + amount;
+    itemLedgerDirty = true;
+}
+
+/**
+ * A ground item vanished without being picked up (timeout, map cap, map cleanup)
+ */
+function provenanceDespawn(groundItem) {
+    const record = groundItem && itemLedger.items[groundItem.provenanceId];
+    if (!record || record.state !== 'ground') return;
+    record.state = 'despawned';
+    recordProvenanceEvent(record, 'despawned', null, null);
+}
+
+/**
+ * Check a playerDropItem against the ledger
+ * @returns {{ reason: string|null, details?: string, record?: Object, legacy?: boolean }}
+ *   reason is null when the player provably holds it, or for a legacy item with no record
+ */
+function checkDropProvenance(player, data) {
+    if (data.isGold) {
+        const balance = itemLedger.gold[player.odId] || 0;
+        if (!(data.amount > 0) || data.amount > balance) {
+            return { reason: 'gold_exceeds_balance', details: `dropped ${data.amount}, balance ${balance}` };
+        }
+        return { reason: null };
+    }
+    
+    const record = data.provenanceId && itemLedger.items[data.provenanceId];
+    if (!record) return { reason: null, legacy: true };
+    if (record.holder !== player.odId) {
+        // Dropping something already on the ground, or held by someone else, is a duplicate
+        return { reason: 'duplicate_drop', details: `record is ${record.state}${record.holder ? ` (holder ${record.holder})` : ''}`, record };
+    }
+    if (record.name !== data.name) {
+        return { reason: 'name_mismatch', details: `record is ${record.name}`, record };
+    }
+    if ((data.quantity || 1) > record.amount) {
+        return { reason: 'quantity_exceeds', details: `dropped ${data.quantity}, record holds ${record.amount}`, record };
+    }
+    if (record.rarity && data.rarity && record.rarity !== data.rarity) {
+        return { reason: 'rarity_mismatch', details: `record is ${record.rarity}`, record };
+    }
+    return { reason: null, record };
+}
+
+/**
+ * Put a dropped item's provenance on the ground: a verified item keeps its record
+ * (or splits off part of a stack), anything else gets a new record of the given origin
+ * @returns {string} Provenance id of the dropped item
+ */
+function provenanceDrop(player, mapId, data, groundItemId, check, originType) {
+    if (data.isGold) {
+        if (originType !== 'gm') {
+            itemLedger.gold[player.odId] = Math.max(0, (itemLedger.gold[player.odId] || 0) - data.amount);
+        }
+        return createProvenance({ type: originType, mapId, odId: player.odId }, { name: data.name, amount: data.amount }, groundItemId);
+    }
+    
+    const record = !check.reason && check.record;
+    if (!record) {
+        return createProvenance({ type: originType, mapId, odId: player.odId }, {
+            name: data.name, amount: data.quantity, rarity: data.rarity
+        }, groundItemId);
+    }
+    
+    const quantity = data.quantity || 1;
+    if (quantity < record.amount) {
+        record.amount -= quantity;
+        recordProvenanceEvent(record, 'split', player.odId, mapId);
+        return createProvenance({ type: 'split', mapId, odId: player.odId, parentId: record.id }, {
+            name: record.name, amount: quantity, rarity: record.rarity
+        }, groundItemId);
+    }
+    
+    record.holder = null;
+    record.state = 'ground';
+    record.groundItemId = groundItemId;
+    record.rarity = record.rarity || data.rarity || null;
+    provenanceByGroundId[groundItemId] = record.id;
+    recordProvenanceEvent(record, 'dropped', player.odId, mapId);
+    return record.id;
+}
+
+/**
+ * Look up records and flags for GM review
+ * @param {Object} filter - { provenanceId, groundItemId, odId }
+ */
+function getProvenanceReport(filter) {
+    const provenanceId = filter.provenanceId || (filter.groundItemId && provenanceByGroundId[filter.groundItemId]);
+    let items;
+    if (provenanceId) {
+        items = itemLedger.items[provenanceId] ? [itemLedger.items[provenanceId]] : [];
+    } else if (filter.odId) {
+        items = Object.values(itemLedger.items).filter(record =>
+            record.holder === filter.odId || record.history.some(entry => entry.odId === filter.odId));
+    } else {
+        items = [];
+    }
+    const flags = itemLedger.flags.filter(flag =>
+        (!provenanceId || flag.provenanceId === provenanceId) && (!filter.odId || flag.odId === filter.odId));
+    return {
+        items,
+        flags,
+        gold: filter.odId ? itemLedger.gold[filter.odId] || 0 : undefined
+    };
+}
+
+/**
+ * Prune old records and persist the ledger
+ * Periodic saves write in the background (skipped while one is still running); shutdown saves pass sync
+ */
+function saveItemLedger(sync) {
+    if (!itemLedgerDirty) return;
+    const now = Date.now();
+    for (const [id, record] of Object.entries(itemLedger.items)) {
+        if (record.state === 'ground') continue;
+        const retention = record.state === 'held' ? PROVENANCE_CONFIG.heldRetention : PROVENANCE_CONFIG.retention;
+        if (record.updatedAt < now - retention) {
+            delete itemLedger.items[id];
+            if (provenanceByGroundId[record.groundItemId] === id) delete provenanceByGroundId[record.groundItemId];
+        }
+    }
+    
+    if (sync) {
+        if (writeStorageJson(ITEM_LEDGER_FILE, itemLedger)) itemLedgerDirty = false;
+        return;
+    }
+    if (itemLedgerSaving) return;
+    itemLedgerSaving = true;
+    itemLedgerDirty = false;
+    writeStorageJsonAsync(ITEM_LEDGER_FILE, itemLedger).then(ok => {
+        if (!ok) itemLedgerDirty = true;
+        itemLedgerSaving = false;
+    });
+}
+
+// ============================================
+// KILL CONTRIBUTION
+// ============================================
+// Credit for a kill is split by share of the damage in monsterDamage. Players below
+// minShare get nothing, and EXP falls off when player and monster levels are far apart.
+
+const CONTRIBUTION_CONFIG = {
+    minShare: 0.05,               // Fraction of total damage needed for any credit
+    levelPenaltyFreeLevels: 5,    // Level difference with no EXP penalty
+    levelPenaltyPerLevel: 0.1,    // EXP lost per level beyond that
+    levelPenaltyMinMultiplier: 0.1,
+    personalDropMinShare: 0.1     // Boss/elite contributors at or above this share get their own drop roll
+};
+
+/**
+ * EXP multiplier for a level gap, in either direction (over-leveled farming and power-leveling both fall off)
+ */
+function getLevelPenalty(playerLevel, monsterLevel) {
+    const excess = Math.abs((playerLevel || 1) - (monsterLevel || 1)) - CONTRIBUTION_CONFIG.levelPenaltyFreeLevels;
+    if (excess <= 0) return 1;
+    const multiplier = Math.max(CONTRIBUTION_CONFIG.levelPenaltyMinMultiplier, 1 - excess * CONTRIBUTION_CONFIG.levelPenaltyPerLevel);
+    return Math.round(multiplier * 100) / 100;
+}
+
+/**
+ * Break a kill down per participant still on the map
+ * @returns {Array<{ odId, damage, share, eligible, levelPenalty, exp }>} sorted by damage, highest first
+ */
+function computeContributions(mapId, monster, damageMap) {
+    const totalDamage = Object.values(damageMap).reduce((sum, damage) => sum + damage, 0);
+    if (totalDamage <= 0) return [];
+    
+    let baseExp = (monster.exp || 0) * getExpMultiplier(mapId);
+    if (monster.isEliteMonster) baseExp *= ELITE_CONFIG.expMultiplier;
+    if (monster.isShiny) baseExp *= SHINY_CONFIG.expMultiplier;
+    
+    const contributions = [];
+    for (const [odId, damage] of Object.entries(damageMap)) {
+        const player = maps[mapId] ? maps[mapId][odId] : null;
+        if (!player) continue; // Left the map before the kill
         
-        for (const monsterId in mapMonsters[mapId]) {
-            const monster = mapMonsters[mapId][monsterId];
-            if (monster.isDead) continue;
-            
-            updateMonsterAI(monster, mapId);
+        const share = damage / totalDamage;
+        const eligible = share >= CONTRIBUTION_CONFIG.minShare;
+        const levelPenalty = getLevelPenalty(player.level, monster.level);
+        contributions.push({
+            odId,
+            damage,
+            share: Math.round(share * 1000) / 1000,
+            eligible,
+            levelPenalty,
+            exp: eligible ? Math.floor(baseExp * share * levelPenalty) : 0
+        });
+    }
+    return contributions.sort((a, b) => b.damage - a.damage);
+}
+
+function hasPersonalLoot(monster) {
+    return !!(monster.isMiniBoss || monster.isEliteMonster || monster.boss);
+}
+
+/**
+ * Roll a separate set of drops for every contributor above personalDropMinShare,
+ * reserved for that player alone for as long as it stays on the ground
+ */
+function rollPersonalDrops(mapId, monster, monsterId, contributions) {
+    const drops = [];
+    const reservedUntil = Date.now() + CONFIG.GROUND_ITEM_LIFETIME;
+    for (const contribution of contributions) {
+        if (contribution.share < CONTRIBUTION_CONFIG.personalDropMinShare) continue;
+        for (const drop of generateMonsterDrops(mapId, monster, monsterId)) {
+            drop.ownerId = contribution.odId;
+            drop.ownerPartyId = null;
+            drop.reservedUntil = reservedUntil;
+            drop.personal = true;
+            drops.push(drop);
         }
     }
+    return drops;
 }
 
+// ============================================
+// EXP & LEVELING
+// ============================================
+// The server owns each character's level and EXP. A character's first ledger entry is seeded
+// from the level and EXP its client reports (the client was the record before the ledger);
+// after that client-reported values are ignored, and claims of a higher level than the
+// ledger holds are flagged as violations.
+// The EXP needed per level comes from data/expTable.json, exported from the client's table:
+//   expToNextLevel - [EXP to go from level 1 to 2, 2 to 3, ...]; its length + 1 is the level cap
+
+const LEVELING_CONFIG = {
+    partyShareRate: 0.3,      // Party members on the map get this fraction of a member's kill EXP
+    saveInterval: 10000       // ms between ledger writes
+};
+const EXP_TABLE_FILE = path.join(__dirname, 'data', 'expTable.json');
+const EXP_LEDGER_FILE = 'expLedger.json';
+
 /**
- * Simple server-side monster AI - handles X movement only
- * Client handles Y physics (gravity, jumping) locally
+ * Load and validate the EXP table - a broken file stops the server at startup
  */
-function updateMonsterAI(monster, mapId) {
-    // Skip AI for static monsters (like test dummy)
-    if (monster.aiType === 'static') {
-        monster.velocityX = 0;
-        return;
+function loadExpTable() {
+    const data = JSON.parse(fs.readFileSync(EXP_TABLE_FILE, 'utf8'));
+    const table = data.expToNextLevel;
+    if (!Array.isArray(table) || table.length === 0 || table.some(exp => !Number.isInteger(exp) || exp <= 0)) {
+        throw new Error(`Invalid EXP table in ${EXP_TABLE_FILE}: expToNextLevel must be a non-empty array of positive integers`);
+    }
+    console.log(`[Server] Loaded EXP table up to level ${table.length + 1}`);
+    return table;
+}
+
+const expTable = loadExpTable();
+const MAX_LEVEL = expTable.length + 1;
+
+// Structure: { odId: { level, exp, totalExp, seeded, updatedAt } }
+// Entries written before seeding existed have no seeded flag and are re-seeded on the next join
+const expLedger = toKeyedStore(readStorageJson(EXP_LEDGER_FILE, {}));
+let expLedgerDirty = false;
+console.log(`[Server] Loaded EXP ledger with ${Object.keys(expLedger).length} character(s)`);
+
+function expToNextLevel(level) {
+    return level >= MAX_LEVEL ? 0 : expTable[level - 1];
+}
+
+/**
+ * EXP multiplier from active events and map bonuses in the loot table file
+ */
+function getExpMultiplier(mapId) {
+    const now = Date.now();
+    let multiplier = 1;
+    for (const [mapKey, mapMods] of Object.entries(lootTables.maps || {})) {
+        if (matchesMapKey(mapId, mapKey) && mapMods.expMultiplier !== undefined) multiplier *= mapMods.expMultiplier;
+    }
+    for (const event of Object.values(lootTables.events || {})) {
+        if (event.expMultiplier !== undefined && isLootEventActive(event, mapId, now)) multiplier *= event.expMultiplier;
+    }
+    return multiplier;
+}
+
+/**
+ * Seed a ledger entry from the level and EXP the client reports, clamped to the EXP table
+ */
+function seedLedgerEntry(entry, claimedLevel, claimedExp) {
+    if (Number.isInteger(claimedLevel) && claimedLevel > entry.level) {
+        entry.level = Math.min(MAX_LEVEL, claimedLevel);
+        entry.exp = typeof claimedExp === 'number' && claimedExp > 0
+            ? Math.min(Math.floor(claimedExp), Math.max(0, expToNextLevel(entry.level) - 1))
+            : 0;
+    }
+    entry.seeded = true;
+    entry.updatedAt = Date.now();
+    expLedgerDirty = true;
+}
+
+function getLedgerEntry(odId) {
+    if (!expLedger[odId]) {
+        expLedger[odId] = { level: 1, exp: 0, totalExp: 0, updatedAt: Date.now() };
+        expLedgerDirty = true;
+    }
+    return expLedger[odId];
+}
+
+/**
+ * Flag a client that claims a higher level than the ledger (lower is just a stale client)
+ * Unseeded entries are not flagged. Each claimed level is only flagged once per session
+ * to keep periodic stat reports from piling up violations
+ */
+function checkClaimedLevel(player, claimedLevel) {
+    if (typeof claimedLevel !== 'number' || claimedLevel <= player.level) return;
+    if (!getLedgerEntry(player.odId).seeded) return;
+    if (player.flaggedClaimLevel === claimedLevel) return;
+    player.flaggedClaimLevel = claimedLevel;
+    recordViolation(player.odId, 'level_mismatch', `claimed ${claimedLevel}, ledger ${player.level}`);
+}
+
+/**
+ * Load level and EXP from the ledger onto a joining player, seeding the entry on first sight
+ */
+function initPlayerProgress(player, claimedLevel, claimedExp) {
+    const entry = getLedgerEntry(player.odId);
+    if (!entry.seeded && CONFIG.EXP_LEDGER_IMPORT_CLIENT_LEVEL) {
+        seedLedgerEntry(entry, claimedLevel, claimedExp);
     }
+    player.level = entry.level;
+    player.exp = entry.exp;
+    player.maxExp = expToNextLevel(entry.level);
+    checkClaimedLevel(player, claimedLevel);
+}
+
+/**
+ * Add EXP to a character, running the level curve
+ * @param {object} source - { type: 'kill' | 'party', monsterId, fromOdId }
+ */
+function awardExp(mapId, player, amount, source) {
+    if (!(amount > 0)) return;
+    const entry = getLedgerEntry(player.odId);
+    const oldLevel = entry.level;
     
-    // Skip AI during knockback
-    if (monster.knockbackEndTime && Date.now() < monster.knockbackEndTime) {
-        monster.velocityX = 0;
-        return;
+    entry.totalExp += amount;
+    entry.exp += amount;
+    while (entry.level < MAX_LEVEL && entry.exp >= expToNextLevel(entry.level)) {
+        entry.exp -= expToNextLevel(entry.level);
+        entry.level++;
     }
+    if (entry.level >= MAX_LEVEL) entry.exp = 0;
+    entry.updatedAt = Date.now();
+    expLedgerDirty = true;
     
-    const speedMultiplier = 4.2;
-    const CHASE_TIMEOUT = 5000;
-    const CHASE_RANGE = 500;
-    const now = Date.now();
+    player.level = entry.level;
+    player.exp = entry.exp;
+    player.maxExp = expToNextLevel(entry.level);
+    if (entry.level > oldLevel) refreshPlayerMaxHp(player);
     
-    // Monsters only aggro when attacked (set in damageMonster function)
-    // No proximity aggro
+    if (player.socketId) {
+        io.to(player.socketId).emit('expGained', {
+            amount,
+            source: source.type,
+            monsterId: source.monsterId || null,
+            fromOdId: source.fromOdId || null,
+            level: player.level,
+            exp: player.exp,
+            maxExp: player.maxExp
+        });
+    }
+    if (entry.level > oldLevel) {
+        if (player.socketId) {
+            io.to(player.socketId).emit('levelUp', { level: entry.level, previousLevel: oldLevel, exp: player.exp, maxExp: player.maxExp });
+        }
+        io.to(mapId).emit('playerLevelUp', { odId: player.odId, name: player.name, level: entry.level });
+        console.log(`[Server] ${player.name} reached level ${entry.level}`);
+    }
+}
+
+/**
+ * Pay out a kill: each contributor's EXP, plus a share for their party members on the map
+ */
+function awardKillExp(mapId, monster, contributions) {
+    for (const contribution of contributions) {
+        if (contribution.exp <= 0) continue;
+        const player = maps[mapId] && maps[mapId][contribution.odId];
+        if (!player) continue;
+        awardExp(mapId, player, contribution.exp, { type: 'kill', monsterId: monster.id });
+        
+        for (const memberOdId of getPartyMembersOnMap(mapId, contribution.odId)) {
+            const member = maps[mapId][memberOdId];
+            const shareExp = Math.floor(contribution.exp * LEVELING_CONFIG.partyShareRate * getLevelPenalty(member.level, monster.level));
+            awardExp(mapId, member, shareExp, { type: 'party', monsterId: monster.id, fromOdId: contribution.odId });
+        }
+    }
+}
+
+function saveExpLedger() {
+    if (!expLedgerDirty) return;
+    if (writeStorageJson(EXP_LEDGER_FILE, expLedger)) expLedgerDirty = false;
+}
+
+// ============================================
+// PARTY REGISTRY
+// ============================================
+// Parties are created and changed only through the server. The registry owns membership
+// and the leader; player.partyId mirrors it for loot, EXP and chat. Members stay in the
+// party through a reconnect grace period and are removed when their session really ends,
+// handing leadership to the longest-standing member still online.
+
+const PARTY_CONFIG = {
+    maxSize: 6,
+    inviteTimeout: 60000 // ms an invite stays open
+};
+
+// Structure: { partyId: { id, leaderId, members: [odId] (join order), names: { odId: name }, createdAt } }
+const parties = Object.create(null);
+// Structure: { odId: partyId }
+const partyByMember = Object.create(null);
+// Structure: { inviteeOdId: { partyId: { partyId, inviterId, inviterName, expiresAt } } }
+const partyInvites = Object.create(null);
+
+/**
+ * Find a character's player object on any map (including reconnecting players)
+ */
+function findPlayer(odId) {
+    for (const mapId in maps) {
+        if (maps[mapId][odId]) return maps[mapId][odId];
+    }
+    return null;
+}
+
+function getPartyState(party) {
+    return {
+        partyId: party.id,
+        leaderId: party.leaderId,
+        maxSize: PARTY_CONFIG.maxSize,
+        lootMode: getPartyLootMode(party.id),
+        members: party.members.map(odId => {
+            const player = findPlayer(odId);
+            return {
+                odId,
+                name: player ? player.name : party.names[odId],
+                mapId: player ? player.mapId : null,
+                online: !!(player && player.socketId),
+                level: player ? player.level : null,
+                playerClass: player ? player.playerClass : null,
+                hp: player ? player.hp : null,
+                maxHp: player ? player.maxHp : null
+            };
+        })
+    };
+}
+
+/**
+ * Send the party's current state to every online member
+ */
+function broadcastPartyState(partyId) {
+    const party = parties[partyId];
+    if (party) emitToParty(partyId, 'partyState', getPartyState(party));
+}
+
+/**
+ * Mirror membership onto the player object and tell their map
+ */
+function setPlayerParty(odId, partyId) {
+    if (partyId) partyByMember[odId] = partyId;
+    else delete partyByMember[odId];
     
-    // Check if monster should stop chasing
-    if (monster.aiState === 'chasing') {
-        const timeSinceInteraction = now - (monster.lastInteractionTime || 0);
+    const player = findPlayer(odId);
+    if (!player) return;
+    player.partyId = partyId;
+    io.to(player.mapId).emit('playerPartyUpdated', { odId, name: player.name, partyId });
+}
+
+function createParty(leader) {
+    const party = {
+        id: `party_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+        leaderId: leader.odId,
+        members: [leader.odId],
+        names: { [leader.odId]: leader.name },
+        createdAt: Date.now()
+    };
+    parties[party.id] = party;
+    setPlayerParty(leader.odId, party.id);
+    console.log(`[Server] ${leader.name} created party ${party.id}`);
+    broadcastPartyState(party.id);
+    return party;
+}
+
+function addPartyMember(party, player) {
+    party.members.push(player.odId);
+    party.names[player.odId] = player.name;
+    setPlayerParty(player.odId, party.id);
+    if (partyInvites[player.odId]) delete partyInvites[player.odId][party.id];
+    console.log(`[Server] ${player.name} joined party ${party.id} (${party.members.length}/${PARTY_CONFIG.maxSize})`);
+    broadcastPartyState(party.id);
+}
+
+/**
+ * Take a member out of their party, promoting a new leader or disbanding as needed
+ * @param {string} reason - 'left', 'kicked' or 'disconnected'
+ */
+function removePartyMember(odId, reason) {
+    const party = parties[partyByMember[odId]];
+    if (!party) return false;
+    
+    party.members = party.members.filter(memberId => memberId !== odId);
+    const name = party.names[odId];
+    delete party.names[odId];
+    setPlayerParty(odId, null);
+    
+    const socketId = playerSockets[odId];
+    if (socketId) io.to(socketId).emit('partyState', { partyId: null, reason });
+    
+    if (party.members.length === 0) {
+        delete parties[party.id];
+        delete partyLoot[party.id];
+        console.log(`[Server] Party ${party.id} disbanded`);
+        return true;
+    }
+    
+    if (party.leaderId === odId) {
+        const online = party.members.find(memberId => findPlayer(memberId)?.socketId);
+        party.leaderId = online || party.members[0];
+        console.log(`[Server] ${party.names[party.leaderId]} promoted to leader of party ${party.id}`);
+    }
+    console.log(`[Server] ${name} removed from party ${party.id} (${reason})`);
+    emitToParty(party.id, 'partyMemberRemoved', { partyId: party.id, odId, name, reason });
+    broadcastPartyState(party.id);
+    return true;
+}
+
+/**
+ * The player's session is over for good - leave any party and drop their invites
+ */
+function handlePartyLogout(odId) {
+    delete partyInvites[odId];
+    removePartyMember(odId, 'disconnected');
+}
+
+/**
+ * Drop expired invites
+ */
+function prunePartyInvites() {
+    const now = Date.now();
+    for (const inviteeId in partyInvites) {
+        for (const partyId in partyInvites[inviteeId]) {
+            if (partyInvites[inviteeId][partyId].expiresAt <= now || !parties[partyId]) delete partyInvites[inviteeId][partyId];
+        }
+        if (Object.keys(partyInvites[inviteeId]).length === 0) delete partyInvites[inviteeId];
+    }
+}
+
+/**
+ * Validate and apply a party action from a player
+ * @returns {string|null} Rejection reason, or null on success
+ */
+function handlePartyAction(action, player, data) {
+    const party = parties[partyByMember[player.odId]];
+    switch (action) {
+        case 'create':
+            if (party) return 'already_in_party';
+            createParty(player);
+            return null;
         
-        if (timeSinceInteraction > CHASE_TIMEOUT) {
-            monster.aiState = 'patrolling';
-            monster.targetPlayer = null;
-            // Update patrol bounds to current position so monster doesn't snap back
-            const patrolRadius = (monster.patrolMaxX - monster.patrolMinX) / 2;
-            monster.patrolMinX = Math.max(0, monster.x - patrolRadius);
-            monster.patrolMaxX = Math.min(monster.mapWidth - monster.width, monster.x + patrolRadius);
-            monster.spawnX = monster.x; // Update spawn point too
-        } else if (monster.targetPlayer && maps[mapId]) {
-            const target = maps[mapId][monster.targetPlayer];
-            if (target) {
-                const targetX = target.x + 15;
-                const dx = targetX - monster.x;
-                const distFromSpawn = Math.abs(monster.x - monster.spawnX);
-                
-                if (distFromSpawn < CHASE_RANGE) {
-                    monster.direction = dx > 0 ? 1 : -1;
-                    monster.facing = monster.direction === 1 ? 'right' : 'left';
-                    
-                    // Chase speed (1.5x patrol)
-                    const chaseSpeed = (monster.speed || CONFIG.MONSTER_SPEED) * speedMultiplier * 1.5;
-                    const moveAmount = monster.direction * chaseSpeed;
-                    const newX = monster.x + moveAmount;
-                    
-                    // Respect map boundaries
-                    if (newX >= 0 && newX <= monster.mapWidth - monster.width) {
-                        monster.velocityX = moveAmount;
-                        monster.x = newX;
-                    } else {
-                        monster.velocityX = 0;
-                    }
-                } else {
-                    // Too far from spawn - stop chasing but stay at current position
-                    monster.aiState = 'patrolling';
-                    monster.targetPlayer = null;
-                    // Update patrol bounds to current position
-                    const patrolRadius = 100;
-                    monster.patrolMinX = Math.max(0, monster.x - patrolRadius);
-                    monster.patrolMaxX = Math.min(monster.mapWidth - monster.width, monster.x + patrolRadius);
-                    monster.spawnX = monster.x;
-                }
-            } else {
-                monster.targetPlayer = null;
+        case 'invite': {
+            if (!party) return 'not_in_party';
+            if (party.leaderId !== player.odId) return 'not_leader';
+            const invitee = data.odId ? findPlayer(data.odId) : findOnlinePlayerByName(data.name || '');
+            if (!invitee || !invitee.socketId) return 'player_not_found';
+            if (invitee.odId === player.odId) return 'self';
+            if (partyByMember[invitee.odId]) return 'target_in_party';
+            if (party.members.length >= PARTY_CONFIG.maxSize) return 'party_full';
+            
+            const invite = { partyId: party.id, inviterId: player.odId, inviterName: player.name, expiresAt: Date.now() + PARTY_CONFIG.inviteTimeout };
+            if (!partyInvites[invitee.odId]) partyInvites[invitee.odId] = Object.create(null);
+            partyInvites[invitee.odId][party.id] = invite;
+            io.to(invitee.socketId).emit('partyInvite', { ...invite, memberCount: party.members.length });
+            io.to(player.socketId).emit('partyInviteSent', { partyId: party.id, odId: invitee.odId, name: invitee.name, expiresAt: invite.expiresAt });
+            return null;
+        }
+        
+        case 'accept':
+        case 'decline': {
+            const invite = partyInvites[player.odId] && partyInvites[player.odId][data.partyId];
+            if (!invite || invite.expiresAt <= Date.now()) return 'invite_not_found';
+            delete partyInvites[player.odId][data.partyId];
+            const target = parties[data.partyId];
+            if (!target) return 'party_not_found';
+            
+            if (action === 'decline') {
+                const inviterSocket = playerSockets[invite.inviterId];
+                if (inviterSocket) io.to(inviterSocket).emit('partyInviteDeclined', { partyId: target.id, odId: player.odId, name: player.name });
+                return null;
             }
+            if (party) return 'already_in_party';
+            if (target.members.length >= PARTY_CONFIG.maxSize) return 'party_full';
+            addPartyMember(target, player);
+            return null;
         }
-        monster.lastUpdate = now;
-        return;
+        
+        case 'leave':
+            if (!party) return 'not_in_party';
+            removePartyMember(player.odId, 'left');
+            return null;
+        
+        case 'kick':
+            if (!party) return 'not_in_party';
+            if (party.leaderId !== player.odId) return 'not_leader';
+            if (data.odId === player.odId) return 'self';
+            if (!party.members.includes(data.odId)) return 'not_member';
+            removePartyMember(data.odId, 'kicked');
+            return null;
+        
+        case 'transfer':
+            if (!party) return 'not_in_party';
+            if (party.leaderId !== player.odId) return 'not_leader';
+            if (data.odId === player.odId) return 'self';
+            if (!party.members.includes(data.odId)) return 'not_member';
+            if (!findPlayer(data.odId)?.socketId) return 'player_not_found';
+            party.leaderId = data.odId;
+            console.log(`[Server] ${player.name} made ${party.names[data.odId]} leader of party ${party.id}`);
+            broadcastPartyState(party.id);
+            return null;
+        
+        default:
+            return 'invalid_action';
+    }
+}
+
+// ============================================
+// PARTY LOOT
+// ============================================
+// freeForAll - drops are reserved for the whole party of the loot recipient
+// roundRobin - each kill's items are reserved for the next party member on the map in turn
+// needGreed  - rare items are rolled for (need beats greed); other items are free for the party
+// Gold is always split across party members on the map when picked up.
+
+const PARTY_LOOT_CONFIG = {
+    modes: ['freeForAll', 'roundRobin', 'needGreed'],
+    defaultMode: 'freeForAll',
+    rollTimeout: 15000, // ms members have to choose need/greed/pass
+    rollChoices: ['need', 'greed', 'pass']
+};
+
+/**
+ * Get (or create) a party's loot settings
+ */
+function getPartyLoot(partyId) {
+    if (!partyLoot[partyId]) {
+        partyLoot[partyId] = { mode: PARTY_LOOT_CONFIG.defaultMode, rrIndex: 0 };
+    }
+    return partyLoot[partyId];
+}
+
+function getPartyLootMode(partyId) {
+    return partyId && partyLoot[partyId] ? partyLoot[partyId].mode : PARTY_LOOT_CONFIG.defaultMode;
+}
+
+/**
+ * Find every connected member of a party, on any map
+ */
+function getOnlinePartyMembers(partyId) {
+    const members = [];
+    if (!partyId) return members;
+    for (const mapId in maps) {
+        for (const odId in maps[mapId]) {
+            const player = maps[mapId][odId];
+            if (player.partyId === partyId && player.socketId) members.push(player);
+        }
+    }
+    return members;
+}
+
+function emitToParty(partyId, event, data) {
+    for (const member of getOnlinePartyMembers(partyId)) {
+        io.to(member.socketId).emit(event, data);
+    }
+}
+
+/**
+ * Drop loot settings for parties that no longer exist
+ */
+function prunePartyLoot() {
+    for (const partyId in partyLoot) {
+        if (!parties[partyId]) delete partyLoot[partyId];
+    }
+}
+
+/**
+ * Set ownership fields on a kill's drops according to the recipient's party loot mode
+ * @returns {{ partyId, mode, assignee, rollDrops }} what announcePartyLoot needs after the drops are registered
+ */
+function assignPartyLoot(mapId, drops, recipientId) {
+    const recipient = recipientId && maps[mapId] ? maps[mapId][recipientId] : null;
+    const partyId = recipient ? recipient.partyId : null;
+    const mode = getPartyLootMode(partyId);
+    const reservedUntil = recipientId ? Date.now() + CONFIG.LOOT_OWNERSHIP_TIME : 0;
+    const assignment = { partyId, mode, assignee: null, rollDrops: [] };
+    
+    // Round robin rotates over everyone in the party on this map, in a stable order
+    if (partyId && mode === 'roundRobin') {
+        const members = [recipientId, ...getPartyMembersOnMap(mapId, recipientId)].sort();
+        const settings = getPartyLoot(partyId);
+        assignment.assignee = members[settings.rrIndex % members.length];
+        settings.rrIndex++;
+    }
+    
+    for (const drop of drops) {
+        drop.ownerId = recipientId;
+        drop.ownerPartyId = partyId;
+        drop.reservedUntil = reservedUntil;
+        
+        if (assignment.assignee && drop.name !== 'Gold') {
+            drop.ownerId = assignment.assignee;
+            drop.ownerPartyId = null;
+        } else if (partyId && mode === 'needGreed' && drop.rare) {
+            drop.rollPending = true;
+            assignment.rollDrops.push(drop);
+        }
+    }
+    return assignment;
+}
+
+/**
+ * Tell the party who got what and open need/greed rolls (after the drops are on the ground)
+ */
+function announcePartyLoot(mapId, monsterId, assignment) {
+    if (!assignment.partyId) return;
+    
+    if (assignment.assignee) {
+        const assigned = maps[mapId] ? maps[mapId][assignment.assignee] : null;
+        emitToParty(assignment.partyId, 'partyLootAssigned', {
+            monsterId,
+            mode: assignment.mode,
+            odId: assignment.assignee,
+            name: assigned ? assigned.name : null
+        });
+    }
+    for (const drop of assignment.rollDrops) {
+        startLootRoll(mapId, assignment.partyId, drop);
+    }
+}
+
+function startLootRoll(mapId, partyId, drop) {
+    const rollId = `roll_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const eligible = Object.values(maps[mapId] || {})
+        .filter(p => p.partyId === partyId && p.socketId)
+        .map(p => p.odId);
+    
+    partyLootRolls[rollId] = {
+        partyId,
+        mapId,
+        itemId: drop.id,
+        itemName: drop.name,
+        eligible,
+        choices: Object.create(null),
+        timer: setTimeout(() => resolveLootRoll(rollId), PARTY_LOOT_CONFIG.rollTimeout)
+    };
+    
+    for (const odId of eligible) {
+        io.to(maps[mapId][odId].socketId).emit('partyLootRoll', {
+            rollId,
+            itemId: drop.id,
+            itemName: drop.name,
+            timeoutMs: PARTY_LOOT_CONFIG.rollTimeout
+        });
+    }
+    if (DEBUG) console.log(`[Server] Loot roll ${rollId} for ${drop.name} opened to ${eligible.length} member(s) of ${partyId}`);
+}
+
+/**
+ * Record a member's need/greed/pass choice, resolving early once everyone has answered
+ * @returns {string|null} rejection reason
+ */
+function submitLootRollChoice(rollId, odId, choice) {
+    const roll = partyLootRolls[rollId];
+    if (!roll) return 'roll_not_found';
+    if (!roll.eligible.includes(odId)) return 'not_eligible';
+    if (roll.choices[odId]) return 'already_chosen';
+    if (!PARTY_LOOT_CONFIG.rollChoices.includes(choice)) return 'invalid_choice';
+    
+    roll.choices[odId] = choice;
+    if (roll.eligible.every(id => roll.choices[id])) {
+        clearTimeout(roll.timer);
+        resolveLootRoll(rollId);
+    }
+    return null;
+}
+
+/**
+ * Roll 1-100 for everyone who chose need (or greed if nobody needs) and reserve the item for the winner
+ * Members who did not answer in time pass; if everyone passes the item becomes free for all
+ */
+function resolveLootRoll(rollId) {
+    const roll = partyLootRolls[rollId];
+    if (!roll) return;
+    delete partyLootRolls[rollId];
+    
+    const item = mapGroundItems[roll.mapId] && mapGroundItems[roll.mapId][roll.itemId];
+    if (!item) return; // Map torn down or item despawned while rolling
+    
+    const rolls = roll.eligible.map(odId => ({
+        odId,
+        choice: roll.choices[odId] || 'pass',
+        roll: Math.floor(Math.random() * 100) + 1
+    }));
+    const contenders = rolls.filter(r => r.choice === 'need').length > 0
+        ? rolls.filter(r => r.choice === 'need')
+        : rolls.filter(r => r.choice === 'greed');
+    // Ties go to whoever rolled first in eligibility order
+    const winner = contenders.reduce((best, r) => (!best || r.roll > best.roll ? r : best), null);
+    
+    item.rollPending = false;
+    item.ownerId = winner ? winner.odId : null;
+    item.ownerPartyId = null;
+    item.reservedUntil = winner ? Date.now() + CONFIG.LOOT_OWNERSHIP_TIME : 0;
+    
+    const winnerPlayer = winner && maps[roll.mapId] ? maps[roll.mapId][winner.odId] : null;
+    emitToParty(roll.partyId, 'partyLootRollResult', {
+        rollId,
+        itemId: roll.itemId,
+        itemName: roll.itemName,
+        winnerId: winner ? winner.odId : null,
+        winnerName: winnerPlayer ? winnerPlayer.name : null,
+        rolls
+    });
+    if (DEBUG) console.log(`[Server] Loot roll ${rollId} for ${roll.itemName} won by ${winner ? winner.odId : 'nobody'}`);
+}
+
+/**
+ * Split picked-up gold evenly across the looter's party members on the map
+ * The looter keeps the remainder; amounts come from the server's ground item, not the client
+ */
+function sharePartyGold(mapId, looter, totalAmount) {
+    const partyMembers = getPartyMembersOnMap(mapId, looter.odId)
+        .map(odId => maps[mapId][odId])
+        .filter(member => member.socketId);
+    if (partyMembers.length === 0 || !(totalAmount > 0)) return false;
+    
+    const totalMembers = partyMembers.length + 1;
+    const sharePerMember = Math.floor(totalAmount / totalMembers);
+    const looterShare = totalAmount - sharePerMember * partyMembers.length;
+    
+    if (sharePerMember > 0) {
+        for (const member of partyMembers) {
+            transferGold(looter.odId, member.odId, sharePerMember);
+            io.to(member.socketId).emit('partyGoldShare', {
+                amount: sharePerMember,
+                fromName: looter.name
+            });
+        }
+    }
+    io.to(looter.socketId).emit('partyGoldShareResult', {
+        originalAmount: totalAmount,
+        yourShare: looterShare,
+        memberCount: totalMembers
+    });
+    
+    if (DEBUG) console.log(`[Server] ${looter.name} shared ${totalAmount} gold: ${sharePerMember} to ${partyMembers.length} members, ${looterShare} kept`);
+    return true;
+}
+
+/**
+ * Get party members of a player who are on the same map
+ */
+function getPartyMembersOnMap(mapId, playerOdId) {
+    if (!maps[mapId] || !playerOdId) return [];
+    
+    const player = maps[mapId][playerOdId];
+    if (!player || !player.partyId) {
+        return [];
     }
     
-    // Simple patrol behavior
-    if (monster.aiState === 'patrolling' || monster.aiState === 'idle') {
-        // Turn at patrol boundaries
-        if (monster.x <= monster.patrolMinX + 30) {
-            monster.direction = 1;
-            monster.facing = 'right';
-        } else if (monster.x >= monster.patrolMaxX - 30) {
-            monster.direction = -1;
-            monster.facing = 'left';
-        } else if (Math.random() < CONFIG.PATROL_CHANGE_CHANCE) {
-            monster.direction *= -1;
-            monster.facing = monster.direction === 1 ? 'right' : 'left';
-        }
-        
-        // Move
-        const moveAmount = monster.direction * (monster.speed || CONFIG.MONSTER_SPEED) * speedMultiplier;
-        const newX = monster.x + moveAmount;
-        
-        if (newX >= monster.patrolMinX && newX <= monster.patrolMaxX) {
-            monster.velocityX = moveAmount;
-            monster.x = newX;
-        } else {
-            monster.velocityX = 0;
-            if (newX < monster.patrolMinX) {
-                monster.x = monster.patrolMinX;
-                monster.direction = 1;
-                monster.facing = 'right';
-            } else {
-                monster.x = monster.patrolMaxX;
-                monster.direction = -1;
-                monster.facing = 'left';
-            }
-        }
-        
-        // Clamp to map
-        if (monster.x < 0) {
-            monster.x = 0;
-            monster.direction = 1;
-            monster.facing = 'right';
-        }
-        if (monster.x > monster.mapWidth - monster.width) {
-            monster.x = monster.mapWidth - monster.width;
-            monster.direction = -1;
-            monster.facing = 'left';
+    const partyMembers = [];
+    for (const odId in maps[mapId]) {
+        const p = maps[mapId][odId];
+        if (p.odId !== playerOdId && p.partyId === player.partyId) {
+            partyMembers.push(p.odId);
         }
-        
-        monster.aiState = 'patrolling';
     }
     
-    monster.lastUpdate = now;
+    if (DEBUG) console.log(`[Server] Found ${partyMembers.length} party members for ${playerOdId}:`, partyMembers);
+    return partyMembers;
 }
 
 /**
- * Broadcast monster positions to all players
- * Server only sends X position/direction - client handles Y physics locally
+ * Get all monsters on a map
  */
-function broadcastMonsterPositions() {
-    const serverTime = Date.now();
+function getMapMonsters(mapId) {
+    if (!mapMonsters[mapId]) return [];
+    return Object.values(mapMonsters[mapId]).filter(m => !m.isDead);
+}
+
+/**
+ * Tear down a map once no players (including reconnecting ones) remain
+ * Clears ALL map data so the next visitor triggers fresh monster initialization
+ * Pending respawn timers safely check for mapMonsters[mapId] before acting
+ * @returns {boolean} true if the map was torn down
+ */
+function cleanupEmptyMap(mapId) {
+    if (!maps[mapId] || Object.keys(maps[mapId]).length > 0) return false;
     
-    for (const mapId in mapMonsters) {
-        if (!maps[mapId] || Object.keys(maps[mapId]).length === 0) continue;
-        
-        const monsterPositions = [];
+    delete maps[mapId];
+    if (mapMonsters[mapId]) {
         for (const monsterId in mapMonsters[mapId]) {
-            const m = mapMonsters[mapId][monsterId];
-            if (m.isDead) continue;
-            
-            monsterPositions.push({
-                id: m.id,
-                x: m.x,
-                y: m.y,           // Sync Y so all clients share same reference position
-                facing: m.facing,
-                direction: m.direction,
-                aiState: m.aiState,
-                velocityX: m.velocityX || 0,
-                velocityY: m.velocityY || 0,  // Sync Y velocity for jump state detection
-                t: serverTime // Timestamp for client-side lag compensation
-            });
-        }
-        
-        if (monsterPositions.length > 0) {
-            io.to(mapId).emit('monsterPositions', { monsters: monsterPositions, t: serverTime });
+            delete monsterDamage[monsterId];
+            delete monsterThreat[monsterId];
         }
+        delete mapMonsters[mapId];
+        delete mapSpawnData[mapId];
+        console.log(`[Server] Cleaned up empty map and monster data: ${mapId}`);
+    }
+    delete currentEliteMonsters[mapId];
+    // Clean up ground item tracking
+    if (mapGroundItems[mapId]) {
+        Object.values(mapGroundItems[mapId]).forEach(provenanceDespawn);
+        delete mapGroundItems[mapId];
     }
+    delete monsterProjectiles[mapId];
+    delete mapGeometry[mapId];
+    delete mapSpawnPoints[mapId];
+    return true;
 }
 
 /**
- * Handle monster damage from a player (with prediction reconciliation)
+ * Keep a disconnected player's slot for RECONNECT_GRACE_PERIOD
+ * Other players see them as 'reconnecting' until they resume or the window expires
  */
-function damageMonster(mapId, monsterId, damage, attackerId, attackDirection, seq, predictedHp) {
-    if (!mapMonsters[mapId] || !mapMonsters[mapId][monsterId]) return null;
+function startReconnectGrace(player, mapId) {
+    player.connectionState = 'reconnecting';
+    player.disconnectedAt = Date.now();
+    player.socketId = null;
     
-    const monster = mapMonsters[mapId][monsterId];
-    if (monster.isDead) return null;
+    pendingReconnects[player.odId] = {
+        player,
+        mapId,
+        timer: setTimeout(() => expireReconnectGrace(player.odId), CONFIG.RECONNECT_GRACE_PERIOD)
+    };
     
-    // Anti-cheat: Rate limit attacks
-    if (!checkRateLimit(attackerId, 'attacks', CONFIG.MAX_ATTACKS_PER_SECOND)) {
-        return { rateLimited: true };
-    }
+    io.to(mapId).emit('playerReconnecting', { odId: player.odId, graceMs: CONFIG.RECONNECT_GRACE_PERIOD });
+    if (player.partyId) broadcastPartyState(player.partyId);
+}
+
+/**
+ * Reconnect window ran out - remove the player for real and tear the map down if it is now empty
+ */
+function expireReconnectGrace(odId) {
+    const pending = pendingReconnects[odId];
+    if (!pending) return;
+    delete pendingReconnects[odId];
     
-    // Anti-cheat: Validate and cap damage
-    const validatedDamage = validateDamage(damage, attackerId);
-    if (validatedDamage === 0) {
-        return null;
+    const { player, mapId } = pending;
+    if (maps[mapId] && maps[mapId][odId] === player) {
+        delete maps[mapId][odId];
+        io.to(mapId).emit('playerLeft', { odId });
     }
     
-    // Track damage for loot distribution
-    if (!monsterDamage[monsterId]) {
-        monsterDamage[monsterId] = {};
+    // Only drop anti-cheat and party state if the character has not come back on a fresh session
+    if (!playerSockets[odId]) {
+        cleanupRateLimiter(odId);
+        handlePartyLogout(odId);
     }
-    monsterDamage[monsterId][attackerId] = (monsterDamage[monsterId][attackerId] || 0) + validatedDamage;
     
-    // Apply damage (use validated damage)
-    monster.hp -= validatedDamage;
-    monster.lastUpdate = Date.now();
+    console.log(`[Server] ${player.name} did not reconnect in time, removed from ${mapId}`);
+    cleanupEmptyMap(mapId);
+}
+
+/**
+ * Abandon a pending reconnect because the character joined fresh instead of resuming
+ * The stale map entry is removed; its map is torn down if the character is joining elsewhere
+ */
+function cancelReconnectGrace(odId, nextMapId) {
+    const pending = pendingReconnects[odId];
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    delete pendingReconnects[odId];
     
-    // Set monster to chase the attacker (aggro)
-    if (monster.aiType !== 'static') {
-        monster.aiState = 'chasing';
-        monster.targetPlayer = attackerId;
-        monster.lastInteractionTime = Date.now();
+    const { player, mapId } = pending;
+    if (maps[mapId] && maps[mapId][odId] === player) {
+        delete maps[mapId][odId];
+        io.to(mapId).emit('playerLeft', { odId });
     }
-    
-    // Calculate knockback (only for non-static monsters)
-    let knockbackVelocityX = 0;
-    if (monster.aiType !== 'static' && attackDirection !== undefined) {
-        // Knockback force: 6 units in the direction the player is facing (matches client KNOCKBACK_FORCE)
-        const knockbackForce = 6;
-        knockbackVelocityX = attackDirection * knockbackForce;
-        
-        // Actually apply knockback displacement to server position
-        // Apply knockback over multiple frames worth (30 pixels = ~5 server ticks worth of knockback)
-        const knockbackDistance = knockbackForce * 5;
-        const newX = monster.x + (attackDirection * knockbackDistance);
-        
-        // Clamp to patrol bounds
-        if (monster.patrolMinX !== undefined && monster.patrolMaxX !== undefined) {
-            monster.x = Math.max(monster.patrolMinX, Math.min(monster.patrolMaxX, newX));
-        } else {
-            monster.x = newX;
+    if (mapId !== nextMapId) {
+        cleanupEmptyMap(mapId);
+    }
+}
+
+// ============================================
+// CHAT CHANNELS
+// ============================================
+// map     - players on the sender's map
+// global  - everyone online (one message per globalCooldown)
+// whisper - one online character, addressed by name
+// party   - online members of the sender's partyId, on any map
+// guild   - online members of the sender's guild, on any map
+// system  - server announcements (GMs may send them too)
+// Each channel keeps a short history that is sent on join.
+
+const CHAT_CONFIG = {
+    channels: ['map', 'global', 'whisper', 'party', 'guild', 'system'],
+    historySize: 20,          // Messages kept per channel (per map, party, guild or whisper participant)
+    maxHistoryKeys: 2000,     // Oldest histories are dropped beyond this
+    globalCooldown: 15000     // ms between a player's global messages
+};
+
+// Structure: Map of 'channel:key' -> [message] (insertion order = age, for eviction)
+const chatHistory = new Map();
+// Structure: { odId: timestamp of last global message }
+const lastGlobalChat = Object.create(null);
+let chatMessageCounter = 0;
+
+/**
+ * Guild chat key: guild names are client data, as a string or an object with an id/name
+ * Membership is not verified, so anyone claiming a guild gets its chat
+ */
+function getGuildKey(player) {
+    const guild = player && player.guild;
+    if (!guild) return null;
+    if (typeof guild === 'string') return guild;
+    return guild.id || guild.name || null;
+}
+
+function addChatHistory(historyKey, message) {
+    let history = chatHistory.get(historyKey);
+    if (!history) {
+        history = [];
+        chatHistory.set(historyKey, history);
+        if (chatHistory.size > CHAT_CONFIG.maxHistoryKeys) {
+            chatHistory.delete(chatHistory.keys().next().value);
         }
-        
-        // Set knockback state to prevent AI from immediately moving back
-        monster.knockbackEndTime = Date.now() + 500; // 500ms knockback duration
-        
-        if (DEBUG) console.log(`[Server] Knockback applied: monster ${monsterId} moved to x=${monster.x}, knockbackVelocityX=${knockbackVelocityX}`);
     }
-    
-    // Check for prediction mismatch (only if client sent predicted HP)
-    let correction = null;
-    const HP_CORRECTION_THRESHOLD = 50;
-    if (predictedHp !== undefined && seq) {
-        const hpDifference = Math.abs(monster.hp - predictedHp);
-        if (hpDifference > HP_CORRECTION_THRESHOLD) {
-            console.log(`[Prediction] HP mismatch for seq=${seq}: predicted=${predictedHp}, actual=${monster.hp}, diff=${hpDifference}`);
-            correction = {
-                correctHp: monster.hp,
-                maxHp: monster.maxHp
-            };
+    history.push(message);
+    if (history.length > CHAT_CONFIG.historySize) history.shift();
+}
+
+/**
+ * Online players across all maps, optionally filtered
+ */
+function getOnlinePlayers(predicate) {
+    const players = [];
+    for (const mapId in maps) {
+        for (const odId in maps[mapId]) {
+            const player = maps[mapId][odId];
+            if (player.socketId && (!predicate || predicate(player))) players.push(player);
         }
     }
+    return players;
+}
+
+function findOnlinePlayerByName(name) {
+    const lowerName = String(name).toLowerCase();
+    return getOnlinePlayers(player => player.name && player.name.toLowerCase() === lowerName)[0] || null;
+}
+
+function createChatMessage(channel, sender, text, extra) {
+    return {
+        id: `chat_${Date.now()}_${++chatMessageCounter}`,
+        channel,
+        odId: sender ? sender.odId : null,
+        name: sender ? sender.name : 'System',
+        message: text,
+        timestamp: Date.now(),
+        ...extra
+    };
+}
+
+/**
+ * Route a player's chat message to its channel
+ * @returns {{ delivered: boolean, reason?: string, recipients?: number, message?: Object, retryAfter?: number }}
+ */
+function routeChatMessage(socket, sender, mapId, channel, text, target) {
+    const now = Date.now();
+    let recipients;
+    let historyKeys;
+    let message;
     
-    // Broadcast damage to all players on map (use validated damage)
-    // Include sequence number so attacker can reconcile their prediction
-    io.to(mapId).emit('monsterDamaged', {
-        id: monsterId,
-        seq: seq, // Include sequence number for prediction reconciliation
-        damage: validatedDamage,
-        currentHp: monster.hp,
-        maxHp: monster.maxHp,
-        attackerId: attackerId,
-        knockbackVelocityX: knockbackVelocityX,
-        isCritical: damage > validatedDamage // If damage was capped, wasn't a crit
-    });
-    
-    // Check for death
-    if (monster.hp <= 0) {
-        return killMonster(mapId, monsterId);
+    switch (channel) {
+        case 'map':
+            message = createChatMessage('map', sender, text, { mapId });
+            socket.to(mapId).emit('playerChat', message);
+            return { delivered: true, recipients: Object.keys(maps[mapId] || {}).length - 1, message, historyKeys: [`map:${mapId}`] };
+        case 'global': {
+            const retryAfter = (lastGlobalChat[sender.odId] || 0) + CHAT_CONFIG.globalCooldown;
+            if (now < retryAfter) return { delivered: false, reason: 'throttled', retryAfter };
+            lastGlobalChat[sender.odId] = now;
+            message = createChatMessage('global', sender, text, { mapId });
+            socket.broadcast.emit('playerChat', message);
+            return { delivered: true, recipients: getOnlinePlayers().length - 1, message, historyKeys: ['global:all'] };
+        }
+        case 'whisper': {
+            const recipient = target && findOnlinePlayerByName(target);
+            if (!recipient) return { delivered: false, reason: 'player_offline' };
+            if (recipient.odId === sender.odId) return { delivered: false, reason: 'self' };
+            message = createChatMessage('whisper', sender, text, { target: recipient.name, targetOdId: recipient.odId });
+            io.to(recipient.socketId).emit('playerChat', message);
+            return { delivered: true, recipients: 1, message, historyKeys: [`whisper:${sender.odId}`, `whisper:${recipient.odId}`] };
+        }
+        case 'party':
+            if (!sender.partyId) return { delivered: false, reason: 'not_in_party' };
+            recipients = getOnlinePartyMembers(sender.partyId).filter(member => member.odId !== sender.odId);
+            historyKeys = [`party:${sender.partyId}`];
+            break;
+        case 'guild': {
+            const guildKey = getGuildKey(sender);
+            if (!guildKey) return { delivered: false, reason: 'not_in_guild' };
+            recipients = getOnlinePlayers(player => player.odId !== sender.odId && getGuildKey(player) === guildKey);
+            historyKeys = [`guild:${guildKey}`];
+            break;
+        }
+        case 'system':
+            if (!authorizedGMs.has(socket.id)) return { delivered: false, reason: 'not_allowed' };
+            message = sendSystemMessage(text);
+            return { delivered: true, recipients: getOnlinePlayers().length, message, historyKeys: [] };
+        default:
+            return { delivered: false, reason: 'invalid_channel' };
     }
     
-    // Return result with any correction needed
-    return { monster, killed: false, correction: correction };
+    message = createChatMessage(channel, sender, text);
+    for (const recipient of recipients) {
+        io.to(recipient.socketId).emit('playerChat', message);
+    }
+    return { delivered: true, recipients: recipients.length, message, historyKeys };
 }
 
 /**
- * Kill a monster and determine loot recipient
+ * Server announcement on the system channel, to one map or everyone
  */
-function killMonster(mapId, monsterId) {
-    if (!mapMonsters[mapId] || !mapMonsters[mapId][monsterId]) return null;
-    
-    const monster = mapMonsters[mapId][monsterId];
-    monster.isDead = true;
-    monster.hp = 0;
-    
-    // Clean up elite tracking for this map if the elite monster died
-    if (monster.isEliteMonster && currentEliteMonsters[mapId] === monsterId) {
-        delete currentEliteMonsters[mapId];
+function sendSystemMessage(text, mapId) {
+    const message = createChatMessage('system', null, text, mapId ? { mapId } : {});
+    if (mapId) {
+        io.to(mapId).emit('playerChat', message);
+        addChatHistory(`map:${mapId}`, message);
+    } else {
+        io.emit('playerChat', message);
+        addChatHistory('system:all', message);
     }
-    
-    // Find player who dealt most damage
-    const damageMap = monsterDamage[monsterId] || {};
-    let topDamager = null;
-    let topDamage = 0;
-    
-    for (const [odId, damage] of Object.entries(damageMap)) {
-        if (damage > topDamage) {
-            topDamage = damage;
-            topDamager = odId;
+    return message;
+}
+
+/**
+ * Recent messages on every channel a player can see
+ */
+function getChatHistoryFor(player, mapId) {
+    const get = (historyKey) => historyKey ? (chatHistory.get(historyKey) || []).slice() : [];
+    const guildKey = getGuildKey(player);
+    return {
+        map: get(`map:${mapId}`),
+        global: get('global:all'),
+        whisper: get(`whisper:${player.odId}`),
+        party: get(player.partyId && `party:${player.partyId}`),
+        guild: get(guildKey && `guild:${guildKey}`),
+        system: get('system:all')
+    };
+}
+
+// ============================================
+// CHAT MODERATION
+// ============================================
+// Every chatMessage passes through moderateChatMessage before it is routed:
+// mute check, length cap, flood detection (auto-mutes, escalating), repeated-message
+// detection, then the word filter in data/chatFilter.json masks what is left.
+// Mutes and player reports are kept in CONFIG.STORAGE_DIR.
+
+const CHAT_MODERATION_CONFIG = {
+    maxLength: 200,
+    floodWindow: 10000,           // Sending more than floodMaxMessages in this window...
+    floodMaxMessages: 8,
+    autoMuteDuration: 60000,      // ...mutes for this long, doubled for each earlier auto-mute
+    maxAutoMuteDuration: 60 * 60 * 1000,
+    repeatWindow: 30000,          // The same message more than repeatMaxCount times in this window is rejected
+    repeatMaxCount: 2,
+    recentMessages: 20,           // Per-player messages kept as report context
+    reportCooldown: 30000,        // ms between reports from one player
+    maxReports: 5000,             // Oldest reports are dropped beyond this
+    reportReasons: ['spam', 'abuse', 'cheating', 'scam', 'other']
+};
+const CHAT_FILTER_FILE = path.join(__dirname, 'data', 'chatFilter.json');
+const CHAT_MUTES_FILE = 'chatMutes.json';
+const CHAT_REPORTS_FILE = 'chatReports.json';
+
+// Structure: { odId: { until, reason, mutedBy } }
+const chatMutes = toKeyedStore(readStorageJson(CHAT_MUTES_FILE, {}));
+// Structure: [{ id, reporterId, reporterName, targetOdId, targetName, reason, details, mapId, at, context }]
+const chatReports = readStorageJson(CHAT_REPORTS_FILE, []);
+// Structure: { odId: { sentAt: [timestamp], recent: [{ channel, message, raw, normalized, mapId, target, timestamp }], autoMutes, lastReportAt } }
+const chatActivity = Object.create(null);
+
+function validateChatFilter(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object') return ['root must be an object'];
+    if (data.mask !== undefined && (typeof data.mask !== 'string' || data.mask.length !== 1)) errors.push('mask must be a single character');
+    for (const key of ['words', 'substrings']) {
+        if (data[key] === undefined) continue;
+        if (!Array.isArray(data[key]) || data[key].some(word => typeof word !== 'string' || word.trim().length === 0)) {
+            errors.push(`${key} must be an array of non-empty strings`);
         }
     }
-    
-    console.log(`[Server] Monster ${monsterId} (${monster.type}) killed. Top damager: ${topDamager} with ${topDamage} damage`);
-    
-    // Generate drops server-side for consistency
-    const drops = generateMonsterDrops(mapId, monster, monsterId);
-    
-    // Register all drops in server ground item tracking for pickup validation
-    if (!mapGroundItems[mapId]) mapGroundItems[mapId] = {};
-    for (const drop of drops) {
-        if (drop.id) {
-            mapGroundItems[mapId][drop.id] = {
-                name: drop.name,
-                x: drop.x,
-                y: drop.y,
-                droppedBy: '__monster__',
-                timestamp: Date.now()
-            };
-        }
+    return errors;
+}
+
+/**
+ * Read, validate and compile the word filter
+ * @throws {Error} if the file is unreadable or invalid
+ */
+function readChatFilter() {
+    const data = JSON.parse(fs.readFileSync(CHAT_FILTER_FILE, 'utf8'));
+    const errors = validateChatFilter(data);
+    if (errors.length > 0) {
+        throw new Error(`Invalid chat filter in ${CHAT_FILTER_FILE}:\n  ${errors.join('\n  ')}`);
     }
+    const escape = (word) => word.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const words = data.words || [];
+    const substrings = data.substrings || [];
+    return {
+        mask: data.mask || '*',
+        wordCount: words.length + substrings.length,
+        // Whole words only, so "class" is not caught by "ass"
+        wordPattern: words.length > 0 ? new RegExp(`\\b(?:${words.map(escape).join('|')})\\b`, 'gi') : null,
+        substringPattern: substrings.length > 0 ? new RegExp(substrings.map(escape).join('|'), 'gi') : null
+    };
+}
+
+// Loaded at startup - a broken file stops the server here
+let chatFilter = readChatFilter();
+console.log(`[Server] Loaded chat filter with ${chatFilter.wordCount} word(s), ${Object.keys(chatMutes).length} mute(s), ${chatReports.length} report(s)`);
+
+/**
+ * Reload the word filter without a restart, keeping the current one if the new file is invalid
+ * @returns {{ success: boolean, errors?: string[] }}
+ */
+function reloadChatFilter() {
+    try {
+        chatFilter = readChatFilter();
+        console.log(`[Server] Reloaded chat filter with ${chatFilter.wordCount} word(s)`);
+        return { success: true };
+    } catch (e) {
+        console.error(`[Server] Chat filter reload failed, keeping previous filter: ${e.message}`);
+        return { success: false, errors: e.message.split('\n').slice(1).map(line => line.trim()) };
+    }
+}
+
+function maskChatText(text) {
+    const mask = (match) => chatFilter.mask.repeat(match.length);
+    let masked = text;
+    if (chatFilter.wordPattern) masked = masked.replace(chatFilter.wordPattern, mask);
+    if (chatFilter.substringPattern) masked = masked.replace(chatFilter.substringPattern, mask);
+    return masked;
+}
+
+function getChatActivity(odId) {
+    if (!chatActivity[odId]) chatActivity[odId] = { sentAt: [], recent: [], autoMutes: 0, lastReportAt: 0 };
+    return chatActivity[odId];
+}
+
+function saveChatMutes() {
+    const now = Date.now();
+    for (const odId in chatMutes) {
+        if (chatMutes[odId].until <= now) delete chatMutes[odId];
+    }
+    writeStorageJson(CHAT_MUTES_FILE, chatMutes);
+}
+
+/**
+ * @returns {Object|null} The active mute for a character
+ */
+function getChatMute(odId) {
+    const mute = chatMutes[odId];
+    if (!mute) return null;
+    if (mute.until <= Date.now()) {
+        delete chatMutes[odId];
+        saveChatMutes();
+        return null;
+    }
+    return mute;
+}
+
+/**
+ * Mute a character's chat and tell them if they are online
+ * @param {string} mutedBy - GM odId, or 'auto' for the flood detector
+ */
+function muteChat(odId, durationMs, reason, mutedBy) {
+    const mute = { until: Date.now() + durationMs, reason: reason || 'muted', mutedBy };
+    chatMutes[odId] = mute;
+    saveChatMutes();
     
-    // Find party members of the killer for shared EXP
-    const partyMembers = getPartyMembersOnMap(mapId, topDamager);
-    
-    // Broadcast death to all players with drops and party info
-    io.to(mapId).emit('monsterKilled', {
-        id: monsterId,
-        type: monster.type,
-        x: monster.x,
-        y: monster.y,
-        lootRecipient: topDamager, // Player who gets the loot
-        drops: drops, // Server-generated drops
-        partyMembers: partyMembers, // Party members who get shared EXP
-        isEliteMonster: monster.isEliteMonster || false, // Elite status for client effects
-        isShiny: monster.isShiny || false // Shiny status for client effects
-    });
+    console.warn(`[Security] Chat muted ${odId} for ${Math.round(durationMs / 1000)}s by ${mutedBy}: ${mute.reason}`);
+    const socketId = playerSockets[odId];
+    if (socketId) io.to(socketId).emit('chatMuted', { until: mute.until, reason: mute.reason, auto: mutedBy === 'auto' });
+    return mute;
+}
+
+function unmuteChat(odId) {
+    if (!chatMutes[odId]) return false;
+    delete chatMutes[odId];
+    saveChatMutes();
+    const socketId = playerSockets[odId];
+    if (socketId) io.to(socketId).emit('chatUnmuted', {});
+    return true;
+}
+
+/**
+ * Run a message through the moderation pipeline
+ * @returns {{ allowed: boolean, message?: string, reason?: string, mutedUntil?: number }}
+ */
+function moderateChatMessage(player, text) {
+    const now = Date.now();
+    const mute = getChatMute(player.odId);
+    if (mute) return { allowed: false, reason: 'muted', mutedUntil: mute.until };
     
-    // Clean up damage tracking
-    delete monsterDamage[monsterId];
+    const trimmed = text.trim();
+    if (trimmed.length === 0) return { allowed: false, reason: 'empty' };
+    if (trimmed.length > CHAT_MODERATION_CONFIG.maxLength) return { allowed: false, reason: 'too_long' };
     
-    // Skip respawn for Party Quest maps - monsters should not respawn
-    if (mapId.startsWith('pq')) {
-        console.log(`[Server] PQ map ${mapId} - skipping respawn for ${monster.type}`);
-        // Remove monster immediately (no respawn timer)
-        setTimeout(() => {
-            if (mapMonsters[mapId] && mapMonsters[mapId][monsterId]) {
-                delete mapMonsters[mapId][monsterId];
-            }
-        }, 1000); // Short delay to let death animation play
-        return { monster, killed: true, lootRecipient: topDamager };
+    const activity = getChatActivity(player.odId);
+    activity.sentAt = activity.sentAt.filter(at => now - at < CHAT_MODERATION_CONFIG.floodWindow);
+    activity.sentAt.push(now);
+    if (activity.sentAt.length > CHAT_MODERATION_CONFIG.floodMaxMessages) {
+        const duration = Math.min(CHAT_MODERATION_CONFIG.autoMuteDuration * Math.pow(2, activity.autoMutes), CHAT_MODERATION_CONFIG.maxAutoMuteDuration);
+        activity.autoMutes++;
+        activity.sentAt = [];
+        recordViolation(player.odId, 'chat_flood', `${CHAT_MODERATION_CONFIG.floodMaxMessages + 1} messages in ${CHAT_MODERATION_CONFIG.floodWindow}ms`);
+        const autoMute = muteChat(player.odId, duration, 'flood', 'auto');
+        return { allowed: false, reason: 'flood', mutedUntil: autoMute.until };
     }
     
-    // Schedule respawn (keep monster data for animation timing)
-    const respawnTime = monster.isMiniBoss ? CONFIG.BOSS_RESPAWN_TIME : CONFIG.RESPAWN_TIME;
+    const normalized = trimmed.toLowerCase().replace(/\s+/g, ' ');
+    const repeats = activity.recent.filter(entry =>
+        entry.normalized === normalized && now - entry.timestamp < CHAT_MODERATION_CONFIG.repeatWindow).length;
+    if (repeats >= CHAT_MODERATION_CONFIG.repeatMaxCount) return { allowed: false, reason: 'repeated' };
     
-    // Store spawn info for respawn - don't use exact spawn coords, let it randomize
-    // Use stored surface bounds if available, otherwise reconstruct from patrol
-    const respawnData = {
-        // Don't set x/y - let spawnMonster randomize within surface bounds
-        surfaceX: monster.patrolSurfaceX !== undefined ? monster.patrolSurfaceX : monster.patrolMinX - 20,
-        surfaceWidth: monster.patrolSurfaceWidth !== undefined ? monster.patrolSurfaceWidth : (monster.patrolMaxX + 20) - (monster.patrolMinX - 20),
-        y: monster.spawnY, // Use same Y as original spawn
-        mapWidth: monster.mapWidth,
-        groundY: monster.groundY,
-        maxHp: monster.maxHp
-    };
+    return { allowed: true, message: maskChatText(trimmed), normalized };
+}
+
+/**
+ * Remember a sent message for repeat detection and report context
+ */
+function recordChatActivity(player, entry) {
+    const activity = getChatActivity(player.odId);
+    activity.recent.push(entry);
+    if (activity.recent.length > CHAT_MODERATION_CONFIG.recentMessages) activity.recent.shift();
+}
+
+/**
+ * Store a player report with the chat around it
+ * @returns {{ success: boolean, reportId?: string, reason?: string }}
+ */
+function createChatReport(reporter, mapId, data) {
+    const now = Date.now();
+    const reporterActivity = getChatActivity(reporter.odId);
+    if (now - reporterActivity.lastReportAt < CHAT_MODERATION_CONFIG.reportCooldown) return { success: false, reason: 'cooldown' };
     
-    // Store monster type for respawn (in case map data is cleared)
-    const monsterType = monster.type;
+    const target = data.odId
+        ? getOnlinePlayers(player => player.odId === data.odId)[0]
+        : findOnlinePlayerByName(data.name);
+    const targetOdId = target ? target.odId : data.odId;
+    if (!targetOdId || (!target && !chatActivity[targetOdId])) return { success: false, reason: 'player_not_found' };
+    if (targetOdId === reporter.odId) return { success: false, reason: 'self' };
+    reporterActivity.lastReportAt = now;
     
-    setTimeout(() => {
-        // SAFETY CHECK: Make sure map still exists before trying to delete/respawn
-        // This prevents crashes when map is cleaned up while respawn is pending
-        if (!mapMonsters[mapId]) {
-            console.log(`[Server] Map ${mapId} no longer exists, skipping respawn for ${monsterId}`);
-            return;
-        }
-        
-        // Remove dead monster (with additional safety check)
-        if (mapMonsters[mapId][monsterId]) {
-            delete mapMonsters[mapId][monsterId];
-        }
-        
-        // Spawn replacement if map still has players
-        if (maps[mapId] && Object.keys(maps[mapId]).length > 0) {
-            // Respawn with randomized position on same surface
-            spawnMonster(mapId, monsterType, respawnData);
+    const strip = ({ normalized, ...entry }) => entry;
+    const report = {
+        id: `report_${now}_${crypto.randomBytes(3).toString('hex')}`,
+        reporterId: reporter.odId,
+        reporterName: reporter.name,
+        targetOdId,
+        targetName: target ? target.name : data.name || null,
+        reason: data.reason,
+        details: data.details || null,
+        mapId,
+        at: now,
+        context: {
+            targetMessages: (chatActivity[targetOdId]?.recent || []).map(strip),
+            mapMessages: (chatHistory.get(`map:${mapId}`) || []).slice(),
+            whispers: (chatHistory.get(`whisper:${reporter.odId}`) || [])
+                .filter(message => message.odId === targetOdId || message.targetOdId === targetOdId)
         }
-    }, respawnTime);
+    };
+    chatReports.push(report);
+    if (chatReports.length > CHAT_MODERATION_CONFIG.maxReports) chatReports.shift();
+    writeStorageJson(CHAT_REPORTS_FILE, chatReports);
     
-    return { monster, killed: true, lootRecipient: topDamager };
+    console.warn(`[Security] ${reporter.name} reported ${report.targetName || targetOdId} for ${report.reason} (${report.id})`);
+    return { success: true, reportId: report.id };
+}
+
+// ============================================
+// EVENT RATE LIMITS
+// ============================================
+// Token buckets per socket and per client IP, per event name. Each event costs one token;
+// buckets refill continuously. An event is dropped when either bucket is empty, and repeated
+// drops escalate: warn the client, then mute the socket for a while, then disconnect it.
+// (The older checkRateLimit per-odId windows for attacks/pickups/positions still apply on top.)
+
+const EVENT_RATE_LIMITS = {
+    default: { capacity: 20, refillPerSecond: 10 },
+    events: {
+        latencyPing: { capacity: 5, refillPerSecond: 2 },
+        join: { capacity: 5, refillPerSecond: 1 },
+        rejoin: { capacity: 5, refillPerSecond: 1 },
+        resume: { capacity: 5, refillPerSecond: 1 },
+        changeMap: { capacity: 5, refillPerSecond: 1 },
+        updatePosition: { capacity: 40, refillPerSecond: 35 },
+        attackMonster: { capacity: 20, refillPerSecond: 15 },
+        itemPickup: { capacity: 30, refillPerSecond: 25 },
+        chatMessage: { capacity: 5, refillPerSecond: 1 },
+        initMapMonsters: { capacity: 5, refillPerSecond: 1 },
+        requestMonsters: { capacity: 5, refillPerSecond: 1 },
+        playerVFX: { capacity: 15, refillPerSecond: 8 },
+        playerSkillVFX: { capacity: 15, refillPerSecond: 8 },
+        playerProjectile: { capacity: 20, refillPerSecond: 12 },
+        playerProjectileHit: { capacity: 20, refillPerSecond: 12 },
+        updateAppearance: { capacity: 5, refillPerSecond: 0.5 },
+        updatePartyStats: { capacity: 10, refillPerSecond: 5 },
+        transformElite: { capacity: 3, refillPerSecond: 0.2 },
+        inviteToParty: { capacity: 5, refillPerSecond: 0.5 },
+        chessJoin: { capacity: 3, refillPerSecond: 0.1, ipFactor: 1 },
+        chessMove: { capacity: 10, refillPerSecond: 2 },
+        gmAuth: { capacity: 3, refillPerSecond: 1 / 60, ipFactor: 1 }
+    },
+    ipFactor: 4,              // Per-IP buckets hold this many sockets' worth (shared NAT, several tabs)
+    strikeWindow: 10000,      // ms over which dropped events are counted
+    warnAfter: 3,             // Dropped events in the window before the client is told
+    muteAfter: 20,            // ...before every event from the socket is dropped for muteDuration
+    muteDuration: 10000,
+    disconnectAfter: 60,      // ...before the socket is disconnected
+    ipIdleTimeout: 300000     // ms before an idle IP's buckets are forgotten
+};
+
+// Structure: { ip: { buckets: { eventName: { tokens, lastRefill } }, lastSeen } }
+const ipRateBuckets = Object.create(null);
+
+function getEventRateLimit(eventName) {
+    return Object.hasOwn(EVENT_RATE_LIMITS.events, eventName) ? EVENT_RATE_LIMITS.events[eventName] : EVENT_RATE_LIMITS.default;
 }
 
 /**
- * Generate drops for a monster (server-side for consistency)
+ * Refill a bucket and take one token
+ * @returns {boolean} true if a token was available
  */
-function generateMonsterDrops(mapId, monster, monsterId) {
-    const drops = [];
-    const monsterTypeData = mapSpawnData[mapId]?.monsterTypes?.[monster.type];
-    
-    if (!monsterTypeData || !monsterTypeData.loot) {
-        return drops;
+function takeToken(buckets, eventName, capacity, refillPerSecond, now) {
+    let bucket = buckets[eventName];
+    if (!bucket) {
+        bucket = buckets[eventName] = { tokens: capacity, lastRefill: now };
+    } else {
+        bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.lastRefill) / 1000 * refillPerSecond);
+        bucket.lastRefill = now;
+    }
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    return true;
+}
+
+/**
+ * Client IP. Behind a proxy (TRUST_PROXY), the last X-Forwarded-For hop is the address the
+ * proxy saw - earlier hops are supplied by the client and can be spoofed.
+ */
+function getClientIp(socket) {
+    const forwarded = socket.handshake.headers['x-forwarded-for'];
+    if (CONFIG.TRUST_PROXY && typeof forwarded === 'string' && forwarded.length > 0) {
+        const hops = forwarded.split(',');
+        return hops[hops.length - 1].trim();
     }
+    return socket.handshake.address;
+}
+
+/**
+ * Charge an event against the socket's and its IP's buckets and escalate on repeat offences
+ * @returns {{ allowed: boolean, action?: 'drop' | 'warn' | 'mute' | 'disconnect' }}
+ */
+function checkEventRateLimit(socket, eventName) {
+    const now = Date.now();
+    const state = socket.data.rateLimit;
+    const limit = getEventRateLimit(eventName);
+    const ipFactor = limit.ipFactor || EVENT_RATE_LIMITS.ipFactor;
     
-    const baseX = monster.x + (monster.width || 40) / 2;
-    const baseY = monster.y + (monster.height || 40) / 2;
-    let dropIndex = 0;
-    
-    // ELITE MONSTER SPECIAL DROPS
-    if (monster.isEliteMonster) {
-        // Elite Gold (50k-100k)
-        const eliteGoldAmount = Math.floor(50000 + Math.random() * 50000);
-        drops.push({
-            id: `drop_${Date.now()}_${dropIndex++}_${Math.random().toString(36).substr(2, 9)}`,
-            name: 'Gold',
-            x: baseX - 40,
-            y: baseY,
-            amount: eliteGoldAmount,
-            velocityX: -2,
-            velocityY: -4
-        });
-        
-        // Guaranteed Gachapon Tickets (2-5)
-        const ticketCount = Math.floor(2 + Math.random() * 4);
-        for (let i = 0; i < ticketCount; i++) {
-            drops.push({
-                id: `drop_${Date.now()}_${dropIndex++}_${Math.random().toString(36).substr(2, 9)}`,
-                name: 'Gachapon Ticket',
-                x: baseX - 20 + (i * 15),
-                y: baseY,
-                velocityX: (Math.random() * 2) - 1,
-                velocityY: -3 - (Math.random() * 2)
-            });
-        }
-        
-        // Guaranteed Enhancement Scrolls (4-8)
-        const scrollCount = Math.floor(4 + Math.random() * 5);
-        for (let i = 0; i < scrollCount; i++) {
-            drops.push({
-                id: `drop_${Date.now()}_${dropIndex++}_${Math.random().toString(36).substr(2, 9)}`,
-                name: 'Enhancement Scroll',
-                x: baseX + 20 + (i * 15),
-                y: baseY,
-                velocityX: (Math.random() * 2) - 1,
-                velocityY: -3 - (Math.random() * 2)
-            });
-        }
+    const ipState = ipRateBuckets[state.ip] || (ipRateBuckets[state.ip] = { buckets: Object.create(null), lastSeen: now });
+    ipState.lastSeen = now;
+    
+    const socketOk = takeToken(state.buckets, eventName, limit.capacity, limit.refillPerSecond, now);
+    const ipOk = socketOk && takeToken(ipState.buckets, eventName, limit.capacity * ipFactor, limit.refillPerSecond * ipFactor, now);
+    const muted = now < state.mutedUntil;
+    if (socketOk && ipOk) {
+        return muted ? { allowed: false, action: 'drop' } : { allowed: true };
     }
     
-    // Elite monsters have 3x drop rate for regular loot
-    const dropRateMultiplier = monster.isEliteMonster ? 3 : 1;
+    // Over the limit - count a strike and escalate
+    state.strikes = state.strikes.filter(time => now - time < EVENT_RATE_LIMITS.strikeWindow);
+    state.strikes.push(now);
+    const strikes = state.strikes.length;
     
-    for (const loot of monsterTypeData.loot) {
-        const roll = Math.random();
-        if (roll < ((loot.rate || 0.1) * dropRateMultiplier)) {
-            // Generate consistent velocity for this drop
-            const velocityX = (Math.random() * 4) - 2; // -2 to 2
-            const velocityY = -3 - (Math.random() * 2); // -3 to -5 (upward)
-            
-            dropIndex++;
-            if (loot.name === 'Gold') {
-                const baseGoldAmount = Math.floor(Math.random() * ((loot.max || 10) - (loot.min || 1) + 1) + (loot.min || 1));
-                const goldAmount = monster.isEliteMonster ? baseGoldAmount * 20 : baseGoldAmount;
-                drops.push({
-                    id: `drop_${Date.now()}_${dropIndex}_${Math.random().toString(36).substr(2, 9)}`,
-                    name: 'Gold',
-                    x: baseX + (dropIndex * 10),
-                    y: baseY,
-                    amount: goldAmount,
-                    velocityX: velocityX,
-                    velocityY: velocityY
-                });
-            } else {
-                drops.push({
-                    id: `drop_${Date.now()}_${dropIndex}_${Math.random().toString(36).substr(2, 9)}`,
-                    name: loot.name,
-                    x: baseX + (dropIndex * 10),
-                    y: baseY,
-                    velocityX: velocityX,
-                    velocityY: velocityY
-                });
-            }
-        }
+    if (strikes >= EVENT_RATE_LIMITS.disconnectAfter) return { allowed: false, action: 'disconnect' };
+    if (strikes >= EVENT_RATE_LIMITS.muteAfter && !muted) {
+        state.mutedUntil = now + EVENT_RATE_LIMITS.muteDuration;
+        return { allowed: false, action: 'mute' };
     }
+    if (strikes === EVENT_RATE_LIMITS.warnAfter) return { allowed: false, action: 'warn' };
+    return { allowed: false, action: 'drop' };
+}
+
+/**
+ * Snapshot of every bucket, for the /debug/rate-limits route
+ */
+function getRateLimitState() {
+    const now = Date.now();
+    const socketOwners = {};
+    for (const [odId, socketId] of Object.entries(playerSockets)) socketOwners[socketId] = odId;
     
-    // Salami Celebration Event: 20% chance to drop Salami Stick from any monster
-    if (Math.random() < 0.2) {
-        dropIndex++;
-        drops.push({
-            id: `drop_${Date.now()}_${dropIndex}_${Math.random().toString(36).substr(2, 9)}`,
-            name: 'Salami Stick',
-            x: baseX,
-            y: baseY,
-            velocityX: (Math.random() * 4) - 2,
-            velocityY: -3 - (Math.random() * 2)
+    const sockets = [];
+    for (const [socketId, socket] of io.sockets.sockets) {
+        const state = socket.data.rateLimit;
+        if (!state) continue;
+        sockets.push({
+            socketId,
+            odId: socketOwners[socketId] || null,
+            ip: state.ip,
+            strikes: state.strikes.filter(time => now - time < EVENT_RATE_LIMITS.strikeWindow).length,
+            mutedUntil: state.mutedUntil > now ? state.mutedUntil : null,
+            buckets: state.buckets
         });
     }
-    
-    return drops;
+    return { sockets, ips: ipRateBuckets };
 }
 
 /**
- * Get party members of a player who are on the same map
+ * Forget IPs that have not sent anything for a while
  */
-function getPartyMembersOnMap(mapId, playerOdId) {
-    if (!maps[mapId] || !playerOdId) return [];
-    
-    const player = maps[mapId][playerOdId];
-    if (!player || !player.partyId) {
-        return [];
+function pruneIpRateBuckets() {
+    const now = Date.now();
+    for (const ip in ipRateBuckets) {
+        if (now - ipRateBuckets[ip].lastSeen > EVENT_RATE_LIMITS.ipIdleTimeout) delete ipRateBuckets[ip];
     }
-    
-    const partyMembers = [];
-    for (const odId in maps[mapId]) {
-        const p = maps[mapId][odId];
-        if (p.odId !== playerOdId && p.partyId === player.partyId) {
-            partyMembers.push(p.odId);
-        }
+}
+
+// ============================================
+// EVENT SCHEMAS
+// ============================================
+// Every inbound socket event must have an entry here; unknown events are rejected.
+// A schema is either null (no payload expected) or a map of field name -> field spec.
+// Fields are optional unless marked required; unlisted fields pass through, but the
+// whole payload is capped at maxBytes (default DEFAULT_MAX_PAYLOAD_BYTES).
+
+const DEFAULT_MAX_PAYLOAD_BYTES = 4096;
+const MAX_VALIDATION_ERRORS_PER_SOCKET = 100; // Disconnect sockets that keep sending garbage
+const COORDINATE_LIMIT = 1e6;
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const field = {
+    string: (maxLength, opts = {}) => ({ type: 'string', maxLength, ...opts }),
+    // Ids are used as object keys: plain characters only, and never an Object.prototype name
+    id: (maxLength, opts = {}) => ({ type: 'string', maxLength, pattern: ID_PATTERN, ...opts }),
+    number: (opts = {}) => ({ type: 'number', ...opts }),
+    integer: (opts = {}) => ({ type: 'number', integer: true, ...opts }),
+    coordinate: (opts = {}) => ({ type: 'number', min: -COORDINATE_LIMIT, max: COORDINATE_LIMIT, ...opts }),
+    boolean: (opts = {}) => ({ type: 'boolean', ...opts }),
+    oneOf: (values, opts = {}) => ({ type: 'enum', values, ...opts }),
+    // Opaque client data (appearance, stats...) is stored and rebroadcast as-is, so only its size is checked
+    object: (maxBytes, opts = {}) => ({ type: 'object', maxBytes, ...opts }),
+    json: (maxBytes, opts = {}) => ({ type: 'json', maxBytes, ...opts }), // Any JSON value
+    array: (maxLength, items, opts = {}) => ({ type: 'array', maxLength, items, ...opts }),
+    shape: (fields, opts = {}) => ({ type: 'shape', fields, ...opts })
+};
+
+const EVENT_SCHEMAS = {
+    latencyPing: null,
+    requestMonsters: null,
+    checkGmAuth: null,
+    gmReloadLootTables: null,
+    gmListBans: null,
+    gmReloadChatFilter: null,
+    playerDeath: null,
+    playerRespawn: null,
+    join: {
+        maxBytes: 32768,
+        odId: field.id(64, { required: true }),
+        name: field.string(32, { required: true }),
+        mapId: field.id(64, { required: true }),
+        token: field.string(1024),
+        x: field.coordinate(),
+        y: field.coordinate(),
+        customization: field.object(1024),
+        level: field.integer({ min: 1, max: 1000 }),
+        exp: field.number({ min: 0 }),
+        playerClass: field.oneOf(Object.keys(DAMAGE_MODEL.classes)),
+        guild: field.json(1024),
+        equipped: field.object(16384),
+        cosmeticEquipped: field.object(8192),
+        equippedMedal: field.json(1024),
+        displayMedals: field.array(20, field.json(512)),
+        partyId: field.id(64, { nullable: true }), // Ignored - membership comes from the party registry
+        hp: field.number({ min: 0, max: CONFIG.MAX_PLAYER_HP }),
+        maxHp: field.number({ min: 1, max: CONFIG.MAX_PLAYER_HP }) // Ignored - max HP is computed by the server
+    },
+    // rejoin is join plus oldOdId (filled in below)
+    rejoin: null,
+    resume: {
+        odId: field.id(64, { required: true }),
+        token: field.string(1024, { required: true })
+    },
+    updatePosition: {
+        maxBytes: 2048,
+        x: field.coordinate({ required: true }),
+        y: field.coordinate({ required: true }),
+        facing: field.oneOf(['left', 'right']),
+        animationState: field.string(32),
+        velocityX: field.number({ min: -10000, max: 10000 }),
+        velocityY: field.number({ min: -10000, max: 10000 }),
+        activeBuffs: field.array(30, field.json(256)),
+        pet: field.json(512)
+    },
+    changeMap: {
+        newMapId: field.id(64, { required: true }),
+        x: field.coordinate(),
+        y: field.coordinate(),
+        token: field.string(1024)
+    },
+    chatMessage: {
+        message: field.string(500, { required: true }), // Longer than the moderation cap so it gets a chatRejected
+        channel: field.oneOf(CHAT_CONFIG.channels),
+        target: field.string(32),
+        clientMessageId: field.string(64)
+    },
+    reportPlayer: {
+        odId: field.id(64),
+        name: field.string(32),
+        reason: field.oneOf(CHAT_MODERATION_CONFIG.reportReasons, { required: true }),
+        details: field.string(500)
+    },
+    gmMute: {
+        odId: field.id(64),
+        name: field.string(32),
+        durationMs: field.integer({ min: 1000, max: 30 * 24 * 60 * 60 * 1000, required: true }),
+        reason: field.string(200)
+    },
+    gmUnmute: {
+        odId: field.id(64, { required: true })
+    },
+    initMapMonsters: {
+        maxBytes: 262144,
+        mapId: field.id(64, { required: true }),
+        monsters: field.array(200, field.object(1024)),
+        spawnPositions: field.array(500, field.shape({
+            type: field.id(64, { required: true }),
+            x: field.coordinate(),
+            y: field.coordinate(),
+            surfaceX: field.coordinate(),
+            surfaceWidth: field.number({ min: 0, max: COORDINATE_LIMIT })
+        })),
+        mapWidth: field.number({ min: 0, max: COORDINATE_LIMIT }),
+        groundY: field.coordinate(),
+        geometry: field.object(65536),
+        monsterTypes: field.object(131072)
+    },
+    attackMonster: {
+        seq: field.integer({ min: 0 }),
+        monsterId: field.id(64, { required: true }),
+        damage: field.number({ required: true, min: 0 }),
+        isCritical: field.boolean(),
+        attackType: field.oneOf(Object.keys(DAMAGE_MODEL.attackTypes)),
+        playerDirection: field.number({ min: -1, max: 1 }),
+        predictedHp: field.number()
+    },
+    tauntMonster: {
+        monsterId: field.id(64, { required: true })
+    },
+    transformElite: {
+        monsterId: field.id(64, { required: true })
+    },
+    itemPickup: {
+        itemId: field.string(128, { required: true }),
+        itemName: field.string(64),
+        x: field.coordinate(),
+        y: field.coordinate()
+    },
+    playerDropItem: {
+        maxBytes: 8192,
+        name: field.string(64, { required: true }),
+        x: field.coordinate({ required: true }),
+        y: field.coordinate({ required: true }),
+        stats: field.object(2048, { nullable: true }),
+        rarity: field.string(32, { nullable: true }),
+        enhancement: field.integer({ min: 0, max: 100 }),
+        quantity: field.integer({ min: 1, max: 9999 }),
+        levelReq: field.integer({ min: 0, max: 1000 }),
+        isQuestItem: field.boolean(),
+        isGold: field.boolean(),
+        amount: field.number({ min: 0, max: 1e10 }),
+        provenanceId: field.id(64, { nullable: true })
+    },
+    createParty: null,
+    leaveParty: null,
+    inviteToParty: {
+        odId: field.id(64),
+        name: field.string(32)
+    },
+    acceptPartyInvite: {
+        partyId: field.id(64, { required: true })
+    },
+    declinePartyInvite: {
+        partyId: field.id(64, { required: true })
+    },
+    kickPartyMember: {
+        odId: field.id(64, { required: true })
+    },
+    transferPartyLeader: {
+        odId: field.id(64, { required: true })
+    },
+    updateParty: null, // Sent by current clients, ignored - the party registry owns membership
+    updatePartyStats: {
+        hp: field.number({ min: 0, max: CONFIG.MAX_PLAYER_HP }),
+        maxHp: field.number({ min: 1, max: CONFIG.MAX_PLAYER_HP }), // Ignored - max HP is computed by the server
+        level: field.integer({ min: 1, max: 1000 }),
+        exp: field.number({ min: 0 }),
+        maxExp: field.number({ min: 0 })
+    },
+    setPartyLootMode: {
+        mode: field.oneOf(PARTY_LOOT_CONFIG.modes, { required: true })
+    },
+    lootRollChoice: {
+        rollId: field.id(64, { required: true }),
+        choice: field.oneOf(PARTY_LOOT_CONFIG.rollChoices, { required: true })
+    },
+    playerVFX: {
+        vfxType: field.string(64, { required: true }),
+        x: field.coordinate(),
+        y: field.coordinate()
+    },
+    playerProjectile: {
+        projectileId: field.string(128, { required: true }),
+        spriteName: field.string(64),
+        x: field.coordinate(),
+        y: field.coordinate(),
+        velocityX: field.number({ min: -10000, max: 10000 }),
+        velocityY: field.number({ min: -10000, max: 10000 }),
+        angle: field.number(),
+        isGrenade: field.boolean(),
+        isHoming: field.boolean()
+    },
+    playerProjectileHit: {
+        projectileId: field.string(128, { required: true }),
+        x: field.coordinate(),
+        y: field.coordinate()
+    },
+    playerSkillVFX: {
+        effectName: field.string(64, { required: true }),
+        x: field.coordinate(),
+        y: field.coordinate(),
+        width: field.number({ min: 0, max: 5000 }),
+        height: field.number({ min: 0, max: 5000 }),
+        facing: field.oneOf(['left', 'right']),
+        duration: field.number({ min: 0, max: 60000 })
+    },
+    updateAppearance: {
+        maxBytes: 32768,
+        equipped: field.object(16384),
+        cosmeticEquipped: field.object(8192),
+        guild: field.json(1024),
+        equippedMedal: field.json(1024),
+        displayMedals: field.array(20, field.json(512)),
+        customization: field.object(1024)
+    },
+    gmAuth: {
+        password: field.string(256, { required: true })
+    },
+    gmBan: {
+        odId: field.id(64),
+        ip: field.string(64),
+        banIp: field.boolean(),
+        reason: field.string(200),
+        durationMs: field.integer({ min: 60000, nullable: true })
+    },
+    gmUnban: {
+        banId: field.id(64, { required: true })
+    },
+    startPartyQuest: {
+        pqId: field.string(64, { required: true }),
+        partyId: field.id(64), // Ignored - the registry knows the player's party
+        leaderId: field.id(64),
+        originalMap: field.id(64),
+        originalX: field.coordinate(),
+        originalY: field.coordinate()
+    },
+    pqStageComplete: {
+        pqId: field.string(64, { required: true }),
+        partyId: field.id(64), // Ignored - the registry knows the player's party
+        stage: field.integer({ min: 0, max: 100 })
+    },
+    pqCompleted: {
+        pqId: field.string(64, { required: true }),
+        partyId: field.id(64) // Ignored
+    },
+    leavePQ: {
+        pqId: field.string(64, { required: true }),
+        partyId: field.id(64) // Ignored
+    },
+    chessJoin: {
+        playerName: field.string(32, { required: true }),
+        mapId: field.id(64, { required: true }),
+        gameId: field.id(64),
+        chessStats: field.json(1024)
+    },
+    chessMove: {
+        gameId: field.id(64, { required: true }),
+        fromR: field.integer({ required: true, min: 0, max: 7 }),
+        fromC: field.integer({ required: true, min: 0, max: 7 }),
+        toR: field.integer({ required: true, min: 0, max: 7 }),
+        toC: field.integer({ required: true, min: 0, max: 7 }),
+        promotion: field.string(8, { nullable: true })
+    },
+    chessResign: {
+        gameId: field.id(64, { required: true })
+    },
+    chessLeave: {
+        gameId: field.id(64)
+    }
+};
+EVENT_SCHEMAS.rejoin = { ...EVENT_SCHEMAS.join, oldOdId: field.id(64) };
+
+function jsonSize(value) {
+    try {
+        return Buffer.byteLength(JSON.stringify(value) || '');
+    } catch (e) {
+        return Infinity; // Circular or otherwise unserializable
     }
+}
+
+/**
+ * Check one value against a field spec
+ * @returns {string|null} error message, or null if valid
+ */
+function validateField(spec, value) {
+    if (value === undefined) return spec.required ? 'is required' : null;
+    if (value === null) return spec.nullable || !spec.required ? null : 'must not be null';
     
-    if (DEBUG) console.log(`[Server] Found ${partyMembers.length} party members for ${playerOdId}:`, partyMembers);
-    return partyMembers;
+    switch (spec.type) {
+        case 'string':
+            if (typeof value !== 'string') return 'must be a string';
+            if (value.length > spec.maxLength) return `must be at most ${spec.maxLength} characters`;
+            if (spec.required && value.length === 0) return 'must not be empty';
+            if (spec.pattern && value.length > 0 && !spec.pattern.test(value)) return 'contains invalid characters';
+            if (spec.pattern && isReservedKey(value)) return 'is a reserved name';
+            return null;
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a finite number';
+            if (spec.integer && !Number.isInteger(value)) return 'must be an integer';
+            if (spec.min !== undefined && value < spec.min) return `must be >= ${spec.min}`;
+            if (spec.max !== undefined && value > spec.max) return `must be <= ${spec.max}`;
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'must be a boolean';
+        case 'enum':
+            return spec.values.includes(value) ? null : `must be one of ${spec.values.join(', ')}`;
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+            return jsonSize(value) > spec.maxBytes ? `must be at most ${spec.maxBytes} bytes` : null;
+        case 'json':
+            return jsonSize(value) > spec.maxBytes ? `must be at most ${spec.maxBytes} bytes` : null;
+        case 'array':
+            if (!Array.isArray(value)) return 'must be an array';
+            if (value.length > spec.maxLength) return `must have at most ${spec.maxLength} items`;
+            for (let i = 0; i < value.length; i++) {
+                const error = validateField({ ...spec.items, required: true }, value[i]);
+                if (error) return `[${i}] ${error}`;
+            }
+            return null;
+        case 'shape':
+            if (typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+            for (const [name, fieldSpec] of Object.entries(spec.fields)) {
+                const error = validateField(fieldSpec, value[name]);
+                if (error) return `.${name} ${error}`;
+            }
+            return null;
+        default:
+            return 'has an unknown schema type';
+    }
 }
 
 /**
- * Get all monsters on a map
+ * Validate an inbound event payload against EVENT_SCHEMAS
+ * @returns {{ valid: boolean, field?: string, message?: string }}
  */
-function getMapMonsters(mapId) {
-    if (!mapMonsters[mapId]) return [];
-    return Object.values(mapMonsters[mapId]).filter(m => !m.isDead);
+function validateEventPayload(eventName, payload) {
+    if (!Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, eventName)) {
+        return { valid: false, message: 'unknown_event' };
+    }
+    const schema = EVENT_SCHEMAS[eventName];
+    if (schema === null) return { valid: true }; // Payload ignored
+    
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return { valid: false, message: 'payload must be an object' };
+    }
+    const maxBytes = schema.maxBytes || DEFAULT_MAX_PAYLOAD_BYTES;
+    if (jsonSize(payload) > maxBytes) {
+        return { valid: false, message: `payload must be at most ${maxBytes} bytes` };
+    }
+    for (const [name, spec] of Object.entries(schema)) {
+        if (name === 'maxBytes') continue;
+        const error = validateField(spec, payload[name]);
+        if (error) return { valid: false, field: name, message: `${name} ${error}` };
+    }
+    return { valid: true };
 }
 
 io.on('connection', (socket) => {
@@ -980,6 +5122,109 @@ io.on('connection', (socket) => {
     let currentPlayer = null;
     let currentMapId = null;
 
+    /**
+     * Verify the session token sent with an event, emitting a typed authError on failure
+     * @returns {boolean} true if the token is valid for odId (always true when tokens are not required)
+     */
+    function checkSessionToken(eventName, token, odId) {
+        if (!CONFIG.REQUIRE_SESSION_TOKENS) return true;
+        const result = verifySessionToken(token, odId);
+        if (result.valid) return true;
+
+        console.warn(`[Security] ${eventName} rejected for ${odId} (${socket.id}): ${result.type}`);
+        socket.emit('authError', { event: eventName, type: result.type, message: result.message });
+        return false;
+    }
+
+    /**
+     * Refuse banned characters and IPs
+     * @returns {boolean} true if not banned
+     */
+    function checkBan(eventName, odId) {
+        const ban = findActiveBan(odId, getClientIp(socket));
+        if (!ban) return true;
+        
+        console.warn(`[Security] ${eventName} rejected for ${odId} (${socket.id}): banned (${ban.id})`);
+        socket.emit('authError', { event: eventName, type: 'banned', message: ban.reason, expiresAt: ban.expiresAt });
+        socket.disconnect(true);
+        return false;
+    }
+
+    /**
+     * Detect a concurrent session for odId on another socket and apply DUPLICATE_LOGIN_POLICY
+     * @returns {boolean} true if this socket may take the character
+     */
+    function claimCharacterSession(eventName, odId) {
+        const existingSocketId = playerSockets[odId];
+        if (!existingSocketId || existingSocketId === socket.id) return true;
+        
+        const existingSocket = io.sockets.sockets.get(existingSocketId);
+        if (!existingSocket || !existingSocket.connected) return true; // Stale mapping
+        
+        if (CONFIG.DUPLICATE_LOGIN_POLICY === 'reject') {
+            console.warn(`[Security] ${eventName} rejected for ${odId} (${socket.id}): already online on ${existingSocketId}`);
+            socket.emit('authError', { event: eventName, type: 'session_active', message: 'This character is already logged in' });
+            return false;
+        }
+        
+        console.warn(`[Security] ${odId} logged in from ${socket.id}, replacing session ${existingSocketId}`);
+        
+        // Hand the character over before kicking, so the old socket's cleanup sees it no longer owns it
+        playerSockets[odId] = socket.id;
+        existingSocket.data.sessionReplaced = true;
+        existingSocket.emit('sessionReplaced', { odId, message: 'This character logged in from another location' });
+        existingSocket.disconnect(true);
+        return true;
+    }
+
+    // Rate limit every inbound event (before validation - it is the cheaper check)
+    socket.data.rateLimit = { ip: getClientIp(socket), buckets: Object.create(null), strikes: [], mutedUntil: 0 };
+    socket.use(([eventName], next) => {
+        if (!socket.connected) return; // Packets still buffered after a disconnect
+        // Unknown event names never get a bucket - the schema check below rejects and counts them
+        if (!Object.hasOwn(EVENT_SCHEMAS, eventName)) return next();
+        const result = checkEventRateLimit(socket, eventName);
+        if (result.allowed) return next();
+        
+        const who = currentPlayer ? currentPlayer.odId : socket.id;
+        switch (result.action) {
+            case 'warn':
+                console.warn(`[Security] Rate limit warning for ${who}: ${eventName}`);
+                socket.emit('rateLimited', { event: eventName, action: 'warn' });
+                break;
+            case 'mute':
+                console.warn(`[Security] Muting ${who} for ${EVENT_RATE_LIMITS.muteDuration}ms after repeated rate limit hits (${eventName})`);
+                socket.emit('rateLimited', { event: eventName, action: 'mute', until: socket.data.rateLimit.mutedUntil });
+                if (currentPlayer) recordViolation(currentPlayer.odId, 'rate_limit', `muted for ${eventName}`);
+                break;
+            case 'disconnect':
+                console.warn(`[Security] Disconnecting ${who} for ignoring rate limits (${eventName})`);
+                socket.emit('rateLimited', { event: eventName, action: 'disconnect' });
+                if (currentPlayer) recordViolation(currentPlayer.odId, 'rate_limit', `disconnected for ${eventName}`);
+                socket.disconnect(true);
+                break;
+            default:
+                if (DEBUG) console.log(`[Server] Dropped ${eventName} from ${who} (rate limited)`);
+        }
+    });
+
+    // Validate every inbound event against EVENT_SCHEMAS before any handler sees it
+    socket.data.validationErrors = 0;
+    socket.use(([eventName, payload], next) => {
+        const result = validateEventPayload(eventName, typeof payload === 'function' ? undefined : payload);
+        if (result.valid) return next();
+        
+        socket.data.validationErrors++;
+        socket.emit('validationError', { event: eventName, field: result.field || null, message: result.message });
+        if (DEBUG) console.log(`[Server] Rejected ${eventName} from ${socket.id}: ${result.message}`);
+        if (currentPlayer) recordViolation(currentPlayer.odId, 'invalid_payload', `${eventName}: ${result.message}`);
+        
+        if (socket.data.validationErrors >= MAX_VALIDATION_ERRORS_PER_SOCKET) {
+            console.warn(`[Security] Disconnecting ${socket.id} after ${socket.data.validationErrors} invalid payloads`);
+            socket.disconnect(true);
+        }
+    });
+
     /**
      * Ping/Pong for latency measurement (using custom event names to avoid Socket.io reserved names)
      */
@@ -991,15 +5236,18 @@ io.on('connection', (socket) => {
      * Player joins the game with their character data
      */
     socket.on('join', (data) => {
-        const { odId, name, mapId, x, y, customization, level, playerClass, guild, equipped, cosmeticEquipped, equippedMedal, displayMedals, partyId } = data;
-        
-        if (DEBUG) console.log(`[Server] Player ${name} joining with partyId: ${partyId}`);
+        const { odId, name, mapId, x, y, customization, level, exp, playerClass, guild, equipped, cosmeticEquipped, equippedMedal, displayMedals, hp } = data;
         
-        if (!odId || !name || !mapId) {
+        if (!odId || !name || !mapId || isReservedKey(odId)) {
             socket.emit('error', { message: 'Invalid join data' });
             return;
         }
 
+        if (!checkSessionToken('join', data.token, odId)) return;
+        if (!checkBan('join', odId)) return;
+        if (!claimCharacterSession('join', odId)) return;
+        cancelReconnectGrace(odId, mapId);
+
         // Store player data
         currentPlayer = {
             odId,
@@ -1010,25 +5258,33 @@ io.on('connection', (socket) => {
             facing: 'right',
             animationState: 'idle',
             customization: (customization && customization.skinTone !== undefined) ? customization : { skinTone: 0, hairStyle: 0, hairColor: 0, eyeColor: 0 },
-            level: level || 1,
+            level: 1, // Replaced from the EXP ledger below
             playerClass: playerClass || 'beginner',
             guild: guild || null,
             equipped: equipped || {},
             cosmeticEquipped: cosmeticEquipped || {},
             equippedMedal: equippedMedal || null,
             displayMedals: displayMedals || [],
-            partyId: partyId || null, // Track party for EXP sharing
+            partyId: partyByMember[odId] || null, // Owned by the party registry (kept across a fresh login)
             lastUpdate: Date.now(),
             socketId: socket.id
         };
+        initPlayerProgress(currentPlayer, level, exp);
+        initPlayerHealth(currentPlayer, hp);
         currentMapId = mapId;
 
         // Track socket -> player mapping
         playerSockets[odId] = socket.id;
 
+        // Start movement validation from the server's spawn point for the map
+        const spawn = resolveSpawnPoint(mapId, currentPlayer.x, currentPlayer.y);
+        currentPlayer.x = spawn.x;
+        currentPlayer.y = spawn.y;
+        setMovementAnchor(odId, spawn.x, spawn.y);
+
         // Initialize map if needed
         if (!maps[mapId]) {
-            maps[mapId] = {};
+            maps[mapId] = Object.create(null);
         }
 
         // Add player to map
@@ -1051,6 +5307,9 @@ io.on('connection', (socket) => {
         // Notify other players on this map about the new player
         socket.to(mapId).emit('playerJoined', currentPlayer);
 
+        socket.emit('chatHistory', getChatHistoryFor(currentPlayer, mapId));
+        if (currentPlayer.partyId) broadcastPartyState(currentPlayer.partyId);
+
         console.log(`[Server] ${name} joined map ${mapId} (${Object.keys(maps[mapId]).length} players on map)`);
         if (DEBUG) console.log(`[Server] Player equipment:`, JSON.stringify(equipped));
     });
@@ -1060,35 +5319,44 @@ io.on('connection', (socket) => {
      * This cleans up the old character and joins with new character data
      */
     socket.on('rejoin', (data) => {
-        const { odId, name, mapId, x, y, customization, level, playerClass, guild, equipped, cosmeticEquipped, equippedMedal, displayMedals, partyId, oldOdId } = data;
+        const { odId, name, mapId, x, y, customization, level, exp, playerClass, guild, equipped, cosmeticEquipped, equippedMedal, displayMedals, oldOdId, hp } = data;
         
         console.log(`[Server] Player switching character: ${oldOdId || 'unknown'} -> ${name} (${odId})`);
         
-        if (!odId || !name || !mapId) {
+        if (!odId || !name || !mapId || isReservedKey(odId)) {
             socket.emit('error', { message: 'Invalid rejoin data' });
             return;
         }
 
+        if (!checkSessionToken('rejoin', data.token, odId)) return;
+        if (!checkBan('rejoin', odId)) return;
+        if (!claimCharacterSession('rejoin', odId)) return;
+        cancelReconnectGrace(odId, mapId);
+
         // Clean up old character data if it exists
         if (currentPlayer && currentMapId) {
             // Remove old player from their map
-            if (maps[currentMapId] && maps[currentMapId][currentPlayer.odId]) {
+            if (maps[currentMapId] && maps[currentMapId][currentPlayer.odId] === currentPlayer) {
                 delete maps[currentMapId][currentPlayer.odId];
             }
-            // Also check for old odId explicitly
-            if (oldOdId && maps[currentMapId] && maps[currentMapId][oldOdId]) {
+            // Also check for old odId explicitly (only if this socket owns it)
+            const ownsOldOdId = oldOdId && maps[currentMapId] && maps[currentMapId][oldOdId]?.socketId === socket.id;
+            if (ownsOldOdId) {
                 delete maps[currentMapId][oldOdId];
             }
             
             // Notify others that old character left
             socket.to(currentMapId).emit('playerLeft', { odId: currentPlayer.odId });
-            if (oldOdId && oldOdId !== currentPlayer.odId) {
+            if (ownsOldOdId && oldOdId !== currentPlayer.odId) {
                 socket.to(currentMapId).emit('playerLeft', { odId: oldOdId });
             }
             
             // Remove old socket mapping
-            delete playerSockets[currentPlayer.odId];
-            if (oldOdId) delete playerSockets[oldOdId];
+            if (playerSockets[currentPlayer.odId] === socket.id) delete playerSockets[currentPlayer.odId];
+            if (oldOdId && playerSockets[oldOdId] === socket.id) delete playerSockets[oldOdId];
+            
+            // The old character goes offline, so it leaves its party
+            if (currentPlayer.odId !== odId) handlePartyLogout(currentPlayer.odId);
             
             // Leave old map room
             socket.leave(currentMapId);
@@ -1106,25 +5374,33 @@ io.on('connection', (socket) => {
             facing: 'right',
             animationState: 'idle',
             customization: (customization && customization.skinTone !== undefined) ? customization : { skinTone: 0, hairStyle: 0, hairColor: 0, eyeColor: 0 },
-            level: level || 1,
+            level: 1, // Replaced from the EXP ledger below
             playerClass: playerClass || 'beginner',
             guild: guild || null,
             equipped: equipped || {},
             cosmeticEquipped: cosmeticEquipped || {},
             equippedMedal: equippedMedal || null,
             displayMedals: displayMedals || [],
-            partyId: partyId || null,
+            partyId: partyByMember[odId] || null,
             lastUpdate: Date.now(),
             socketId: socket.id
         };
+        initPlayerProgress(currentPlayer, level, exp);
+        initPlayerHealth(currentPlayer, hp);
         currentMapId = mapId;
 
         // Track socket -> player mapping
         playerSockets[odId] = socket.id;
 
+        // Start movement validation from the server's spawn point for the map
+        const spawn = resolveSpawnPoint(mapId, currentPlayer.x, currentPlayer.y);
+        currentPlayer.x = spawn.x;
+        currentPlayer.y = spawn.y;
+        setMovementAnchor(odId, spawn.x, spawn.y);
+
         // Initialize map if needed
         if (!maps[mapId]) {
-            maps[mapId] = {};
+            maps[mapId] = Object.create(null);
         }
 
         // Add player to map
@@ -1146,9 +5422,68 @@ io.on('connection', (socket) => {
         // Notify other players on this map about the new player
         socket.to(mapId).emit('playerJoined', currentPlayer);
 
+        socket.emit('chatHistory', getChatHistoryFor(currentPlayer, mapId));
+        if (currentPlayer.partyId) broadcastPartyState(currentPlayer.partyId);
+
         console.log(`[Server] ${name} rejoined on map ${mapId} (${Object.keys(maps[mapId]).length} players on map)`);
     });
 
+    /**
+     * Player resumes a session that dropped less than RECONNECT_GRACE_PERIOD ago
+     * Restores the held slot (position, party, aggro, ground loot) without a leave/join
+     */
+    socket.on('resume', (data) => {
+        const { odId, token } = data;
+        
+        if (isReservedKey(odId)) return;
+        if (!checkSessionToken('resume', token, odId)) return;
+        if (!checkBan('resume', odId)) return;
+        
+        const pending = pendingReconnects[odId];
+        if (!pending || !maps[pending.mapId] || maps[pending.mapId][odId] !== pending.player) {
+            // Nothing to resume - client should fall back to a normal join
+            socket.emit('resumeFailed', { odId, reason: 'no_session' });
+            return;
+        }
+        if (currentPlayer) {
+            socket.emit('resumeFailed', { odId, reason: 'already_joined' });
+            return;
+        }
+        
+        clearTimeout(pending.timer);
+        delete pendingReconnects[odId];
+        
+        currentPlayer = pending.player;
+        currentMapId = pending.mapId;
+        currentPlayer.connectionState = 'connected';
+        delete currentPlayer.disconnectedAt;
+        currentPlayer.socketId = socket.id;
+        currentPlayer.lastUpdate = Date.now();
+        
+        playerSockets[odId] = socket.id;
+        setMovementAnchor(odId, currentPlayer.x, currentPlayer.y);
+        socket.join(currentMapId);
+        
+        const aggroMonsterIds = getMapMonsters(currentMapId)
+            .filter(m => m.targetPlayer === odId)
+            .map(m => m.id);
+        const groundItems = Object.entries(mapGroundItems[currentMapId] || {})
+            .map(([itemId, item]) => ({ id: itemId, ...item }));
+        
+        socket.emit('resumed', {
+            player: currentPlayer,
+            players: Object.values(maps[currentMapId]).filter(p => p.odId !== odId),
+            monsters: getMapMonsters(currentMapId),
+            aggroMonsterIds,
+            groundItems
+        });
+        socket.to(currentMapId).emit('playerResumed', { odId });
+        socket.emit('chatHistory', getChatHistoryFor(currentPlayer, currentMapId));
+        if (currentPlayer.partyId) broadcastPartyState(currentPlayer.partyId);
+        
+        console.log(`[Server] ${currentPlayer.name} resumed session on ${currentMapId}`);
+    });
+
     /**
      * Player position/state update
      */
@@ -1157,6 +5492,25 @@ io.on('connection', (socket) => {
 
         const { x, y, facing, animationState, velocityX, velocityY, activeBuffs, pet } = data;
 
+        // Anti-cheat: Rate limit position updates (excess updates are dropped silently)
+        if (!checkRateLimit(currentPlayer.odId, 'positions', CONFIG.MAX_POSITION_UPDATES_PER_SECOND)) {
+            recordViolation(currentPlayer.odId, 'position_rate');
+            return;
+        }
+
+        // Anti-cheat: Reject impossible moves and snap the player back to their last valid position
+        const movement = validatePlayerMovement(currentPlayer.odId, x, y);
+        if (!movement.valid) {
+            if (movement.x !== undefined) {
+                socket.emit('positionCorrection', {
+                    x: movement.x,
+                    y: movement.y,
+                    reason: movement.reason
+                });
+            }
+            return;
+        }
+
         // Update player data
         currentPlayer.x = x;
         currentPlayer.y = y;
@@ -1191,7 +5545,9 @@ io.on('connection', (socket) => {
     socket.on('changeMap', (data) => {
         if (!currentPlayer) return;
 
-        const { newMapId, x, y } = data;
+        const { newMapId, x, y, token } = data;
+        
+        if (!checkSessionToken('changeMap', token, currentPlayer.odId)) return;
         const oldMapId = currentMapId;
 
         // Remove from old map
@@ -1202,28 +5558,21 @@ io.on('connection', (socket) => {
             
             // If old map is now empty, clean up monster data
             // so next visitor triggers fresh spawn initialization
-            if (Object.keys(maps[oldMapId]).length === 0) {
-                delete maps[oldMapId];
-                if (mapMonsters[oldMapId]) {
-                    delete mapMonsters[oldMapId];
-                    delete mapSpawnData[oldMapId];
-                    console.log(`[Server] Cleaned up empty map on map change: ${oldMapId}`);
-                }
-                // Clean up ground item tracking
-                if (mapGroundItems[oldMapId]) {
-                    delete mapGroundItems[oldMapId];
-                }
-            }
+            cleanupEmptyMap(oldMapId);
         }
 
         // Add to new map
         currentMapId = newMapId;
         currentPlayer.mapId = newMapId;
-        currentPlayer.x = x || 400;
-        currentPlayer.y = y || 300;
+        const spawn = resolveSpawnPoint(newMapId, x || 400, y || 300);
+        currentPlayer.x = spawn.x;
+        currentPlayer.y = spawn.y;
+
+        // The cross-map jump lands on the spawn point - movement validation continues from there
+        setMovementAnchor(currentPlayer.odId, spawn.x, spawn.y);
 
         if (!maps[newMapId]) {
-            maps[newMapId] = {};
+            maps[newMapId] = Object.create(null);
         }
         maps[newMapId][currentPlayer.odId] = currentPlayer;
 
@@ -1242,25 +5591,81 @@ io.on('connection', (socket) => {
         // Notify players on new map
         socket.to(newMapId).emit('playerJoined', currentPlayer);
 
+        // Only the map channel changes with the map
+        socket.emit('chatHistory', { map: (chatHistory.get(`map:${newMapId}`) || []).slice() });
+        // Members see each other's map in the party list
+        if (currentPlayer.partyId) broadcastPartyState(currentPlayer.partyId);
+
         console.log(`[Server] ${currentPlayer.name} moved from ${oldMapId} to ${newMapId}`);
     });
 
     /**
-     * Player chat message (local/map chat)
+     * Player chat message on a channel (map by default), acknowledged with chatDelivered/chatUndeliverable
      */
     socket.on('chatMessage', (data) => {
         if (!currentPlayer || !currentMapId) return;
 
-        const { message } = data;
+        const { target, clientMessageId } = data;
+        const channel = data.channel || 'map';
         
-        if (DEBUG) console.log(`[Server] Chat from ${currentPlayer.name} on ${currentMapId}:`, message);
-        // Broadcast chat bubble to other players on map
-        const chatData = {
-            odId: currentPlayer.odId,
-            name: currentPlayer.name,
-            message
-        };
-        socket.to(currentMapId).emit('playerChat', chatData);
+        if (DEBUG) console.log(`[Server] ${channel} chat from ${currentPlayer.name} on ${currentMapId}:`, data.message);
+        const moderation = moderateChatMessage(currentPlayer, data.message);
+        if (!moderation.allowed) {
+            socket.emit('chatRejected', {
+                clientMessageId: clientMessageId || null,
+                channel,
+                reason: moderation.reason,
+                mutedUntil: moderation.mutedUntil,
+                maxLength: moderation.reason === 'too_long' ? CHAT_MODERATION_CONFIG.maxLength : undefined
+            });
+            return;
+        }
+        
+        const message = moderation.message;
+        const result = routeChatMessage(socket, currentPlayer, currentMapId, channel, message, target);
+        if (!result.delivered) {
+            socket.emit('chatUndeliverable', {
+                clientMessageId: clientMessageId || null,
+                channel,
+                target: target || null,
+                reason: result.reason,
+                retryAfter: result.retryAfter
+            });
+            return;
+        }
+        
+        for (const historyKey of result.historyKeys) addChatHistory(historyKey, result.message);
+        recordChatActivity(currentPlayer, {
+            channel,
+            message,
+            raw: message !== data.message.trim() ? data.message.trim() : undefined,
+            normalized: moderation.normalized,
+            mapId: currentMapId,
+            target: result.message.target,
+            timestamp: result.message.timestamp
+        });
+        socket.emit('chatDelivered', {
+            clientMessageId: clientMessageId || null,
+            id: result.message.id,
+            channel,
+            target: result.message.target || null,
+            message,
+            masked: message !== data.message.trim(),
+            recipients: result.recipients,
+            timestamp: result.message.timestamp
+        });
+    });
+
+    /**
+     * Player reports another player; the recent chat context is stored for review
+     */
+    socket.on('reportPlayer', (data) => {
+        if (!currentPlayer || !currentMapId) return;
+        if (!data.odId && !data.name) {
+            socket.emit('reportPlayerResult', { success: false, reason: 'player_not_found' });
+            return;
+        }
+        socket.emit('reportPlayerResult', createChatReport(currentPlayer, currentMapId, data));
     });
 
     /**
@@ -1269,7 +5674,12 @@ io.on('connection', (socket) => {
     socket.on('initMapMonsters', (data) => {
         if (!currentPlayer || !currentMapId) return;
         
-        const { mapId, monsters, spawnPositions, mapWidth, groundY, monsterTypes: clientMonsterTypes } = data;
+        const { mapId, monsters, spawnPositions, mapWidth, groundY, geometry, monsterTypes: clientMonsterTypes } = data;
+        
+        // Store collision geometry once per map (data/maps files take precedence), only from a player on it
+        if (geometry && mapId === currentMapId) {
+            setMapGeometryFromClient(mapId, geometry);
+        }
         
         // Store monster type data from client if not already stored
         if (clientMonsterTypes && !mapSpawnData[mapId]?.monsterTypes) {
@@ -1327,9 +5737,28 @@ io.on('connection', (socket) => {
             return;
         }
         
-        const result = damageMonster(currentMapId, monsterId, damage, currentPlayer.odId, playerDirection, seq, predictedHp);
+        const rangeCheck = validateAttackRange(currentPlayer, mapMonsters[currentMapId][monsterId], attackType);
+        if (!rangeCheck.valid) {
+            journalAttack(currentMapId, currentPlayer, mapMonsters[currentMapId][monsterId], { seq, attackType, claimed: damage, outcome: rangeCheck.reason });
+            socket.emit('attackCorrection', {
+                seq: seq,
+                monsterId: monsterId,
+                type: 'attack_invalid',
+                reason: rangeCheck.reason
+            });
+            return;
+        }
+        
+        const result = damageMonster(currentMapId, monsterId, damage, currentPlayer.odId, playerDirection, seq, predictedHp, attackType, isCritical);
         
-        if (result && result.killed) {
+        if (result && result.rejected) {
+            socket.emit('attackCorrection', {
+                seq: seq,
+                monsterId: monsterId,
+                type: 'attack_invalid',
+                reason: 'damage_rejected'
+            });
+        } else if (result && result.killed) {
             if (DEBUG) console.log(`[Server] ${currentPlayer.name} killed monster ${monsterId}, loot goes to ${result.lootRecipient}`);
         } else if (result && result.correction) {
             // Send HP correction to the attacker only
@@ -1345,51 +5774,36 @@ io.on('connection', (socket) => {
     });
 
     /**
-     * Player transformed a monster to elite (broadcast to all clients)
+     * Player taunts a monster (tank skill) - fixates it on them and takes top threat
      */
-    socket.on('transformElite', (data) => {
-        if (DEBUG) {
-            console.log(`[ELITE DEBUG Server] ===== RECEIVED transformElite event =====`);
-            console.log(`[ELITE DEBUG Server] Data:`, data);
-            console.log(`[ELITE DEBUG Server] Current player:`, currentPlayer?.name);
-            console.log(`[ELITE DEBUG Server] Current map:`, currentMapId);
-        }
+    socket.on('tauntMonster', (data) => {
+        if (!currentPlayer || !currentMapId) return;
         
-        if (!currentPlayer || !currentMapId) {
-            if (DEBUG) console.log(`[ELITE DEBUG Server] Transform received but no player/map`);
+        const { monsterId } = data;
+        const result = tauntMonster(currentMapId, monsterId, currentPlayer);
+        if (!result.success) {
+            socket.emit('tauntRejected', { monsterId, reason: result.reason });
+        }
+    });
+
+    /**
+     * GM: turn a monster on the current map into its elite. Stats come from ELITE_CONFIG.
+     */
+    socket.on('transformElite', (data) => {
+        // The regular client still sends this for its own elite spawns - elites are server-chosen now
+        if (!authorizedGMs.has(socket.id)) {
+            if (DEBUG) console.log(`[Server] Ignoring elite transform from non-GM ${currentPlayer?.name || socket.id}`);
             return;
         }
+        if (!currentPlayer || !currentMapId) return;
         
-        const { monsterId, maxHp, damage, originalMaxHp, originalDamage } = data;
-        if (DEBUG) console.log(`[ELITE DEBUG Server] Transform request from ${currentPlayer.name}:`, { monsterId, mapId: currentMapId, maxHp, damage });
-        
-        // Update server monster state
-        if (mapMonsters[currentMapId] && mapMonsters[currentMapId][monsterId]) {
-            const monster = mapMonsters[currentMapId][monsterId];
-            monster.isEliteMonster = true;
-            monster.maxHp = maxHp;
-            monster.hp = maxHp;
-            monster.damage = damage;
-            monster.originalMaxHp = originalMaxHp;
-            monster.originalDamage = originalDamage;
-            
-            if (DEBUG) console.log(`[ELITE DEBUG Server] Monster ${monsterId} transformed to ELITE by ${currentPlayer.name}`);
-            
-            // Broadcast to ALL clients on map (including sender) so they all apply the transformation
-            io.to(currentMapId).emit('monsterTransformedElite', {
-                monsterId: monsterId,
-                maxHp: maxHp,
-                hp: maxHp,
-                damage: damage,
-                originalMaxHp: originalMaxHp,
-                originalDamage: originalDamage
-            });
-        } else {
-            if (DEBUG) console.log(`[ELITE DEBUG Server] Monster NOT FOUND:`, {
-                hasMapMonsters: !!mapMonsters[currentMapId],
-                hasThisMonster: mapMonsters[currentMapId] ? !!mapMonsters[currentMapId][monsterId] : false
-            });
+        const { monsterId } = data;
+        const reason = transformToElite(currentMapId, mapMonsters[currentMapId]?.[monsterId]);
+        if (reason) {
+            socket.emit('transformEliteRejected', { monsterId, reason });
+            return;
         }
+        console.log(`[Server] Elite transform on ${currentMapId} by GM ${currentPlayer.name}`);
     });
 
     /**
@@ -1403,10 +5817,53 @@ io.on('connection', (socket) => {
         
         const { itemId, itemName, x, y } = data;
         
+        const groundItem = mapGroundItems[currentMapId] && mapGroundItems[currentMapId][itemId];
+        
+        // The player must be standing near the item's server-known position
+        if (groundItem) {
+            const rangeCheck = validatePickupRange(currentPlayer, groundItem);
+            if (!rangeCheck.valid) {
+                socket.emit('itemPickupRejected', {
+                    itemId: itemId,
+                    itemName: itemName,
+                    reason: rangeCheck.reason
+                });
+                return;
+            }
+        }
+        
+        // Rare drops can't be taken while the party is still rolling for them
+        if (groundItem && groundItem.rollPending) {
+            socket.emit('itemPickupRejected', {
+                itemId: itemId,
+                itemName: itemName,
+                reason: 'roll_pending'
+            });
+            return;
+        }
+        
+        // Reserved drops belong to the loot recipient and their party until the reservation ends
+        if (groundItem && !canPickUpGroundItem(groundItem, currentPlayer, Date.now())) {
+            socket.emit('itemPickupRejected', {
+                itemId: itemId,
+                itemName: itemName,
+                reason: 'not_owner',
+                reservedUntil: groundItem.reservedUntil
+            });
+            return;
+        }
+        
         // Server-side validation: check if the item actually exists on ground
-        if (mapGroundItems[currentMapId] && mapGroundItems[currentMapId][itemId]) {
+        if (groundItem) {
             // Item exists — remove from server tracking (first-come-first-served)
             delete mapGroundItems[currentMapId][itemId];
+            provenancePickup(groundItem, currentPlayer, currentMapId);
+            journal('pickup', {
+                mapId: currentMapId, odId: currentPlayer.odId, itemId, provenanceId: groundItem.provenanceId || null,
+                name: groundItem.name, amount: groundItem.amount,
+                droppedBy: groundItem.droppedBy, monsterId: groundItem.monsterId || null, ownerId: groundItem.ownerId || null,
+                x: Math.round(currentPlayer.x), y: Math.round(currentPlayer.y)
+            });
             
             if (DEBUG) console.log(`[Server] ${currentPlayer.name} picked up ${itemName} (${itemId}) - validated`);
             
@@ -1417,12 +5874,25 @@ io.on('connection', (socket) => {
                 x: x,
                 y: y,
                 pickedUpBy: currentPlayer.odId,
-                pickedUpByName: currentPlayer.name
+                pickedUpByName: currentPlayer.name,
+                provenanceId: groundItem.provenanceId || null
             });
+            
+            // Monster gold is split with the party by the server, using the amount it rolled
+            if (groundItem.name === 'Gold' && groundItem.droppedBy === '__monster__' && currentPlayer.partyId) {
+                sharePartyGold(currentMapId, currentPlayer, groundItem.amount);
+            }
         } else {
             // Item not found on server — already picked up by someone else
             if (DEBUG) console.log(`[Server] ${currentPlayer.name} tried to pick up ${itemName} (${itemId}) but it's already gone`);
             
+            // Picking up the same ground item again after getting it is a duplication attempt
+            const record = itemLedger.items[provenanceByGroundId[itemId]];
+            const lastPickup = record && [...record.history].reverse().find(entry => entry.event === 'pickedUp');
+            if (lastPickup && lastPickup.odId === currentPlayer.odId && record.groundItemId === itemId) {
+                flagItem(record.id, currentPlayer.odId, record.name, 'repeat_pickup', `ground item ${itemId}`);
+            }
+            
             // Tell the requesting player the pickup was rejected
             socket.emit('itemPickupRejected', {
                 itemId: itemId,
@@ -1443,18 +5913,42 @@ io.on('connection', (socket) => {
         
         if (DEBUG) console.log(`[Server] ${currentPlayer.name} dropped ${name} at (${x}, ${y})`);
         
+        // The ledger must show this player holding the item (or enough gold); GM spawns are exempt
+        const isGmSpawn = authorizedGMs.has(socket.id);
+        const check = isGmSpawn ? { reason: null } : checkDropProvenance(currentPlayer, data);
+        if (check.reason) {
+            if (CONFIG.ITEM_PROVENANCE_POLICY === 'refuse') {
+                if (check.reason === 'duplicate_drop') {
+                    recordViolation(currentPlayer.odId, 'item_duplicate', `${name}: ${check.details}`);
+                    if (socket.data.kicked) return;
+                }
+                flagItem(data.provenanceId, currentPlayer.odId, name, check.reason, `refused: ${check.details || 'no record'}`);
+                socket.emit('itemDropRejected', { name, provenanceId: data.provenanceId || null, reason: check.reason });
+                return;
+            }
+        }
+        
         // Server assigns canonical ID — all clients MUST use this ID
         const dropId = `pdrop_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         const velocityX = (Math.random() * 4) - 2;
         const velocityY = -3 - (Math.random() * 2);
         
-        // Track on server for pickup validation
-        if (!mapGroundItems[currentMapId]) mapGroundItems[currentMapId] = {};
-        mapGroundItems[currentMapId][dropId] = {
+        const originType = isGmSpawn ? 'gm' : check.legacy ? 'legacy' : (check.reason ? 'unverified' : 'player');
+        const provenanceId = provenanceDrop(currentPlayer, currentMapId, data, dropId, check, originType);
+        if (check.reason) flagItem(provenanceId, currentPlayer.odId, name, check.reason, check.details);
+        
+        journal('drop', {
+            mapId: currentMapId, odId: currentPlayer.odId, itemId: dropId, provenanceId, name, amount: isGold ? amount : quantity,
+            origin: originType, x: Math.round(x), y: Math.round(y)
+        });
+        
+        // Track on server for pickup validation (player drops are never reserved)
+        addGroundItem(currentMapId, dropId, {
             name, x, y,
-            droppedBy: currentPlayer.odId,
-            timestamp: Date.now()
-        };
+            amount: isGold ? amount : undefined,
+            provenanceId,
+            droppedBy: currentPlayer.odId
+        });
         
         const dropData = {
             name,
@@ -1471,7 +5965,8 @@ io.on('connection', (socket) => {
             isQuestItem: isQuestItem || false,
             isGold: isGold || false,
             amount: amount || 0,
-            droppedBy: currentPlayer.name
+            droppedBy: currentPlayer.name,
+            provenanceId
         };
         
         // Broadcast to OTHER players on the map
@@ -1480,57 +5975,62 @@ io.on('connection', (socket) => {
         // Send canonical ID back to sender so their local item uses the same ID
         socket.emit('playerDropConfirm', {
             id: dropId,
+            provenanceId,
             velocityX,
             velocityY
         });
     });
 
     /**
-     * Player updates their HP/stats for party tracking
+     * Party registry actions - every change is answered with partyState to the members,
+     * failures with partyError
      */
+    const partyActions = {
+        createParty: 'create',
+        inviteToParty: 'invite',
+        acceptPartyInvite: 'accept',
+        declinePartyInvite: 'decline',
+        leaveParty: 'leave',
+        kickPartyMember: 'kick',
+        transferPartyLeader: 'transfer'
+    };
+    for (const [eventName, action] of Object.entries(partyActions)) {
+        socket.on(eventName, (data) => {
+            if (!currentPlayer) return;
+            const reason = handlePartyAction(action, currentPlayer, data || {});
+            if (reason) socket.emit('partyError', { action, reason });
+        });
+    }
+
     /**
-     * Update party info (called when player joins/leaves a party)
+     * Client-side party sync from before the registry - still sent by current clients, ignored
      */
-    socket.on('updateParty', (data) => {
-        if (!currentPlayer) return;
-        
-        const oldPartyId = currentPlayer.partyId;
-        currentPlayer.partyId = data.partyId || null;
-        
-        if (DEBUG) console.log(`[${currentPlayer.name}] Party updated: ${oldPartyId} -> ${currentPlayer.partyId}`);
-        
-        // Broadcast to others on map so they know about party change
-        if (currentMapId) {
-            socket.to(currentMapId).emit('playerPartyUpdated', {
-                odId: currentPlayer.odId,
-                name: currentPlayer.name,
-                partyId: currentPlayer.partyId
-            });
-        }
-    });
+    socket.on('updateParty', () => {});
 
+    /**
+     * Player updates their HP/stats for party tracking
+     */
     socket.on('updatePartyStats', (data) => {
         if (!currentPlayer || !currentMapId) return;
         
-        const { hp, maxHp, level, exp, maxExp } = data;
+        const { hp, level } = data;
         
-        // Update player data
-        currentPlayer.hp = hp;
-        currentPlayer.maxHp = maxHp;
-        currentPlayer.level = level;
-        currentPlayer.exp = exp;
-        currentPlayer.maxExp = maxExp;
+        // Update player data (HP is server-owned - the report is reconciled, not copied;
+        // level and EXP come from the ledger, the client's copy is only checked)
+        applyClientHpReport(currentPlayer, hp);
+        checkClaimedLevel(currentPlayer, level);
+        if (socket.data.kicked) return;
         
         // Only broadcast to party members on same map
         if (currentPlayer.partyId) {
             const partyUpdate = {
                 odId: currentPlayer.odId,
                 name: currentPlayer.name,
-                hp: hp,
-                maxHp: maxHp,
-                level: level,
-                exp: exp,
-                maxExp: maxExp
+                hp: currentPlayer.hp,
+                maxHp: currentPlayer.maxHp,
+                level: currentPlayer.level,
+                exp: currentPlayer.exp,
+                maxExp: currentPlayer.maxExp
             };
             
             // Broadcast to all players on map (they'll filter by party)
@@ -1539,56 +6039,41 @@ io.on('connection', (socket) => {
     });
 
     /**
-     * Share gold with party members
+     * Party leader picks how monster drops are shared (freeForAll, roundRobin, needGreed)
      */
-    socket.on('sharePartyGold', (data) => {
-        if (!currentPlayer || !currentMapId || !currentPlayer.partyId) return;
-        
-        const { totalAmount } = data;
-        if (!totalAmount || totalAmount <= 0) return;
-        
-        // Find party members on the same map (excluding looter)
-        const partyMembers = getPartyMembersOnMap(currentMapId, currentPlayer.odId);
+    socket.on('setPartyLootMode', (data) => {
+        if (!currentPlayer) return;
         
-        // Total members = party members + the looter
-        const totalMembers = partyMembers.length + 1;
+        const { mode } = data || {};
+        const partyId = currentPlayer.partyId;
+        let reason = null;
+        if (!partyId || !parties[partyId]) reason = 'not_in_party';
+        else if (parties[partyId].leaderId !== currentPlayer.odId) reason = 'not_leader';
+        else if (!PARTY_LOOT_CONFIG.modes.includes(mode)) reason = 'invalid_mode';
         
-        if (totalMembers <= 1) {
-            // No party members on map, looter keeps all
-            console.log(`[Server] ${currentPlayer.name} - no party members on map, keeping all ${totalAmount} gold`);
+        if (reason) {
+            socket.emit('partyLootModeRejected', { mode, reason });
             return;
         }
         
-        // Split evenly among all members - minimum 1 gold per member
-        // Use ceiling to ensure everyone gets at least 1 gold (except when 0)
-        const rawShare = totalAmount / totalMembers;
-        const sharePerMember = Math.max(1, Math.ceil(rawShare));
-        // Looter might get less to compensate (minimum 1)
-        const totalDistributed = sharePerMember * (totalMembers - 1);
-        const looterShare = Math.max(1, totalAmount - totalDistributed);
-        
-        console.log(`[Server] ${currentPlayer.name} sharing ${totalAmount} gold: ${sharePerMember} to ${partyMembers.length} members, ${looterShare} kept`);
-        
-        // Send gold to each party member
-        for (const memberOdId of partyMembers) {
-            // Find the socket for this party member
-            for (const [socketId, playerData] of Object.entries(maps[currentMapId] || {})) {
-                if (playerData.odId === memberOdId) {
-                    io.to(socketId).emit('partyGoldShare', {
-                        amount: sharePerMember,
-                        fromName: currentPlayer.name
-                    });
-                    break;
-                }
-            }
-        }
+        const settings = getPartyLoot(partyId);
+        settings.mode = mode;
+        settings.rrIndex = 0;
+        console.log(`[Server] ${currentPlayer.name} set loot mode of party ${partyId} to ${mode}`);
+        emitToParty(partyId, 'partyLootModeChanged', { partyId, mode, leaderId: parties[partyId].leaderId });
+    });
+
+    /**
+     * Answer a need/greed roll
+     */
+    socket.on('lootRollChoice', (data) => {
+        if (!currentPlayer) return;
         
-        // Tell the looter how much they actually get (their share)
-        socket.emit('partyGoldShareResult', {
-            originalAmount: totalAmount,
-            yourShare: looterShare,
-            memberCount: totalMembers
-        });
+        const { rollId, choice } = data || {};
+        const reason = submitLootRollChoice(rollId, currentPlayer.odId, choice);
+        if (reason) {
+            socket.emit('lootRollChoiceRejected', { rollId, reason });
+        }
     });
 
     /**
@@ -1691,6 +6176,7 @@ io.on('connection', (socket) => {
         // Update player data on server
         if (data.equipped !== undefined) {
             currentPlayer.equipped = data.equipped;
+            refreshPlayerMaxHp(currentPlayer);
         }
         if (data.cosmeticEquipped !== undefined) {
             currentPlayer.cosmeticEquipped = data.cosmeticEquipped;
@@ -1725,20 +6211,17 @@ io.on('connection', (socket) => {
     });
 
     /**
-     * Player death - broadcast to other players on map
+     * Player reports their own death - the server declares it (see killPlayer)
      */
     socket.on('playerDeath', (data) => {
         if (!currentPlayer || !currentMapId) return;
         
-        console.log(`[Server] ${currentPlayer.name} died on ${currentMapId}`);
-        
-        // Broadcast death to all other players on the map
-        socket.to(currentMapId).emit('playerDied', {
-            odId: currentPlayer.odId,
-            name: currentPlayer.name,
-            x: data.x,
-            y: data.y
-        });
+        // Deaths from server-tracked damage are already declared by the server.
+        // A client may still report dying to something the server doesn't model (falls, traps) -
+        // that only hurts the reporter, so accept it and let the server declare it.
+        if (currentPlayer.isDead) return;
+        if (DEBUG) console.log(`[Server] ${currentPlayer.name} reported death with ${currentPlayer.hp} server HP`);
+        killPlayer(currentMapId, currentPlayer, null);
     });
 
     /**
@@ -1747,12 +6230,33 @@ io.on('connection', (socket) => {
     socket.on('playerRespawn', (data) => {
         if (!currentPlayer || !currentMapId) return;
         
-        console.log(`[Server] ${currentPlayer.name} respawned`);
+        // Only the server can declare death, so only dead players can respawn
+        if (!currentPlayer.isDead) {
+            if (DEBUG) console.log(`[Server] Ignoring respawn from living player ${currentPlayer.name}`);
+            return;
+        }
+        currentPlayer.isDead = false;
+        currentPlayer.hp = currentPlayer.maxHp;
+        currentPlayer.invincibleUntil = Date.now() + CONFIG.PLAYER_INVINCIBILITY_TIME;
         
+        console.log(`[Server] ${currentPlayer.name} respawned`);
+
+        // Respawning warps the player to the map spawn point. Without server spawn data the
+        // server can't know where that is, so the first positions after it are accepted as is
+        const spawn = resolveSpawnPoint(currentMapId, currentPlayer.x, currentPlayer.y);
+        if (spawn.verified) {
+            currentPlayer.x = spawn.x;
+            currentPlayer.y = spawn.y;
+            setMovementAnchor(currentPlayer.odId, spawn.x, spawn.y);
+        } else {
+            setMovementAnchor(currentPlayer.odId, currentPlayer.x, currentPlayer.y, CONFIG.MOVEMENT_GRACE_PERIOD);
+        }
+
         // Broadcast respawn to all other players on the map
         socket.to(currentMapId).emit('playerRespawned', {
             odId: currentPlayer.odId
         });
+        socket.emit('playerHealth', { hp: currentPlayer.hp, maxHp: currentPlayer.maxHp });
     });
 
     /**
@@ -1780,6 +6284,100 @@ io.on('connection', (socket) => {
         }
     });
 
+    /**
+     * GM: reload data/lootTables.json without restarting
+     */
+    socket.on('gmReloadLootTables', () => {
+        if (!authorizedGMs.has(socket.id)) {
+            console.warn(`[Security] Unauthorized loot table reload from ${currentPlayer?.name || 'unknown'} (${socket.id})`);
+            return;
+        }
+        socket.emit('gmReloadLootTablesResult', reloadLootTables());
+    });
+
+    /**
+     * GM: ban a character and/or IP. With banIp, an online character's current IP is banned too.
+     */
+    socket.on('gmBan', (data) => {
+        if (!authorizedGMs.has(socket.id)) {
+            console.warn(`[Security] Unauthorized ban attempt from ${currentPlayer?.name || 'unknown'} (${socket.id})`);
+            return;
+        }
+        const { odId, ip, banIp, reason, durationMs } = data;
+        const targetSocket = odId && playerSockets[odId] && io.sockets.sockets.get(playerSockets[odId]);
+        const banIpAddress = ip || (banIp && targetSocket ? getClientIp(targetSocket) : null);
+        if (!odId && !banIpAddress) {
+            socket.emit('gmBanResult', { success: false, message: 'Specify odId or ip' });
+            return;
+        }
+        
+        const ban = addBan({ odId, ip: banIpAddress, reason, bannedBy: currentPlayer?.odId || socket.id, durationMs: durationMs || null });
+        if (odId) kickPlayer(odId, 'banned', { reason: ban.reason, expiresAt: ban.expiresAt });
+        socket.emit('gmBanResult', { success: true, ban });
+    });
+
+    /**
+     * GM: lift a ban by id
+     */
+    socket.on('gmUnban', (data) => {
+        if (!authorizedGMs.has(socket.id)) {
+            console.warn(`[Security] Unauthorized unban attempt from ${currentPlayer?.name || 'unknown'} (${socket.id})`);
+            return;
+        }
+        const ban = removeBan(data.banId);
+        if (ban) console.log(`[Security] Ban ${ban.id} lifted by ${currentPlayer?.name || socket.id}`);
+        socket.emit('gmUnbanResult', ban ? { success: true, ban } : { success: false, message: 'Ban not found' });
+    });
+
+    /**
+     * GM: list active bans
+     */
+    socket.on('gmListBans', () => {
+        if (!authorizedGMs.has(socket.id)) return;
+        const now = Date.now();
+        socket.emit('gmBanList', { bans: bans.filter(ban => ban.expiresAt === null || ban.expiresAt > now) });
+    });
+
+    /**
+     * GM: mute a character's chat (by odId or online character name)
+     */
+    socket.on('gmMute', (data) => {
+        if (!authorizedGMs.has(socket.id)) {
+            console.warn(`[Security] Unauthorized mute attempt from ${currentPlayer?.name || 'unknown'} (${socket.id})`);
+            return;
+        }
+        const odId = data.odId || findOnlinePlayerByName(data.name || '')?.odId;
+        if (!odId) {
+            socket.emit('gmMuteResult', { success: false, message: 'Player not found' });
+            return;
+        }
+        const mute = muteChat(odId, data.durationMs, data.reason, currentPlayer?.odId || socket.id);
+        socket.emit('gmMuteResult', { success: true, odId, until: mute.until });
+    });
+
+    /**
+     * GM: lift a chat mute
+     */
+    socket.on('gmUnmute', (data) => {
+        if (!authorizedGMs.has(socket.id)) {
+            console.warn(`[Security] Unauthorized unmute attempt from ${currentPlayer?.name || 'unknown'} (${socket.id})`);
+            return;
+        }
+        const success = unmuteChat(data.odId);
+        socket.emit('gmUnmuteResult', success ? { success, odId: data.odId } : { success, message: 'Not muted' });
+    });
+
+    /**
+     * GM: reload data/chatFilter.json without restarting
+     */
+    socket.on('gmReloadChatFilter', () => {
+        if (!authorizedGMs.has(socket.id)) {
+            console.warn(`[Security] Unauthorized chat filter reload from ${currentPlayer?.name || 'unknown'} (${socket.id})`);
+            return;
+        }
+        socket.emit('gmReloadChatFilterResult', reloadChatFilter());
+    });
+
     /**
      * Check if current socket is GM authorized
      */
@@ -1799,20 +6397,22 @@ io.on('connection', (socket) => {
      * Start a party quest - transports all party members to the PQ Stage 1
      */
     socket.on('startPartyQuest', (data) => {
-        const { pqId, partyId, leaderId, originalMap, originalX, originalY } = data;
+        const { pqId, originalMap, originalX, originalY } = data;
         
-        if (!currentPlayer || currentPlayer.odId !== leaderId) {
+        // The party and its leader come from the registry, not the client
+        const party = currentPlayer && parties[currentPlayer.partyId];
+        if (!party || party.leaderId !== currentPlayer.odId) {
             socket.emit('pqError', { message: 'Only the party leader can start the party quest.' });
             return;
         }
         
-        console.log(`[PQ] Starting Party Quest ${pqId} for party ${partyId}`);
+        console.log(`[PQ] Starting Party Quest ${pqId} for party ${party.id}`);
         
         // Notify all players in the same party to warp to PQ Stage 1 (not lobby)
-        io.emit('partyQuestStarted', {
+        emitToParty(party.id, 'partyQuestStarted', {
             pqId,
-            partyId,
-            leaderId,
+            partyId: party.id,
+            leaderId: party.leaderId,
             targetMap: 'pqStage1',
             targetX: 200,
             targetY: 300,
@@ -1826,9 +6426,11 @@ io.on('connection', (socket) => {
      * Player completes a PQ stage objective
      */
     socket.on('pqStageComplete', (data) => {
-        const { pqId, partyId, stage } = data;
+        const { pqId, stage } = data;
+        const party = currentPlayer && parties[currentPlayer.partyId];
+        if (!party) return;
         
-        console.log(`[PQ] Stage ${stage} completed for PQ ${pqId}, party ${partyId}`);
+        console.log(`[PQ] Stage ${stage} completed for PQ ${pqId}, party ${party.id}`);
         
         // Determine next stage map
         const stageProgression = {
@@ -1842,11 +6444,11 @@ io.on('connection', (socket) => {
         const nextStageInfo = stageProgression[stage];
         
         // Notify all party members that stage is complete
-        io.emit('pqStageCleared', {
+        emitToParty(party.id, 'pqStageCleared', {
             pqId,
-            partyId,
+            partyId: party.id,
             stage,
-            clearedBy: currentPlayer?.name || 'Unknown',
+            clearedBy: currentPlayer.name,
             nextMap: nextStageInfo?.nextMap,
             nextX: nextStageInfo?.nextX,
             nextY: nextStageInfo?.nextY,
@@ -1858,15 +6460,17 @@ io.on('connection', (socket) => {
      * Party Quest completed (boss defeated)
      */
     socket.on('pqCompleted', (data) => {
-        const { pqId, partyId } = data;
+        const { pqId } = data;
+        const party = currentPlayer && parties[currentPlayer.partyId];
+        if (!party) return;
         
-        console.log(`[PQ] Party Quest ${pqId} completed by party ${partyId}`);
+        console.log(`[PQ] Party Quest ${pqId} completed by party ${party.id}`);
         
         // Notify all party members
-        io.emit('partyQuestCompleted', {
+        emitToParty(party.id, 'partyQuestCompleted', {
             pqId,
-            partyId,
-            completedBy: currentPlayer?.name || 'Unknown'
+            partyId: party.id,
+            completedBy: currentPlayer.name
         });
     });
     
@@ -1874,16 +6478,18 @@ io.on('connection', (socket) => {
      * Player leaves the party quest
      */
     socket.on('leavePQ', (data) => {
-        const { pqId, partyId } = data;
+        const { pqId } = data;
+        const party = currentPlayer && parties[currentPlayer.partyId];
+        if (!party) return;
         
-        console.log(`[PQ] ${currentPlayer?.name || 'Unknown'} left PQ ${pqId}`);
+        console.log(`[PQ] ${currentPlayer.name} left PQ ${pqId}`);
         
         // Notify party members
-        io.emit('pqMemberLeft', {
+        emitToParty(party.id, 'pqMemberLeft', {
             pqId,
-            partyId,
-            playerName: currentPlayer?.name || 'Unknown',
-            playerId: currentPlayer?.odId
+            partyId: party.id,
+            playerName: currentPlayer.name,
+            playerId: currentPlayer.odId
         });
     });
 
@@ -2011,39 +6617,42 @@ io.on('connection', (socket) => {
         }
 
         if (currentPlayer && currentMapId) {
-            // Remove from map
-            if (maps[currentMapId] && maps[currentMapId][currentPlayer.odId]) {
-                delete maps[currentMapId][currentPlayer.odId];
-            }
-
-            // Remove socket mapping
-            delete playerSockets[currentPlayer.odId];
-            
-            // Clean up rate limiter data
-            cleanupRateLimiter(currentPlayer.odId);
+            // If this character logged in from another socket, the new session owns the socket
+            // mapping, rate limiter and possibly the map entry - only clean up what is still ours
+            const ownsSession = !socket.data.sessionReplaced && playerSockets[currentPlayer.odId] === socket.id;
+            const ownsMapEntry = maps[currentMapId] && maps[currentMapId][currentPlayer.odId] === currentPlayer;
             
             // Remove from GM authorized set
             authorizedGMs.delete(socket.id);
+            
+            if (ownsSession && ownsMapEntry && !socket.data.kicked) {
+                // Keep the slot (and the map alive) so the player can resume without a leave/join flicker
+                delete playerSockets[currentPlayer.odId];
+                startReconnectGrace(currentPlayer, currentMapId);
+                console.log(`[Server] ${currentPlayer.name} disconnected from ${currentMapId}, holding slot for ${CONFIG.RECONNECT_GRACE_PERIOD}ms`);
+                return;
+            }
+            
+            // Remove from map
+            if (ownsMapEntry) {
+                delete maps[currentMapId][currentPlayer.odId];
+                socket.to(currentMapId).emit('playerLeft', { odId: currentPlayer.odId });
+            }
 
-            // Notify other players
-            socket.to(currentMapId).emit('playerLeft', { odId: currentPlayer.odId });
+            if (ownsSession) {
+                // Remove socket mapping
+                delete playerSockets[currentPlayer.odId];
+                
+                // Clean up rate limiter data
+                cleanupRateLimiter(currentPlayer.odId);
+                handlePartyLogout(currentPlayer.odId);
+            }
 
-            console.log(`[Server] ${currentPlayer.name} disconnected from ${currentMapId}`);
+            console.log(`[Server] ${currentPlayer.name} disconnected from ${currentMapId}${socket.data.sessionReplaced ? ' (session replaced)' : ''}${socket.data.kicked ? ' (kicked)' : ''}`);
             
             // If map is now empty, clean up monster data immediately
             // so next player triggers fresh spawn initialization with latest client logic
-            if (maps[currentMapId] && Object.keys(maps[currentMapId]).length === 0) {
-                delete maps[currentMapId];
-                if (mapMonsters[currentMapId]) {
-                    delete mapMonsters[currentMapId];
-                    delete mapSpawnData[currentMapId];
-                    console.log(`[Server] Cleaned up empty map on disconnect: ${currentMapId}`);
-                }
-                // Clean up ground item tracking
-                if (mapGroundItems[currentMapId]) {
-                    delete mapGroundItems[currentMapId];
-                }
-            }
+            cleanupEmptyMap(currentMapId);
         }
     });
 });
@@ -2064,6 +6673,91 @@ app.get('/', (req, res) => {
     });
 });
 
+/**
+ * Local session token issuer - stands in for the real account service
+ * POST /auth/token { odId } -> { token, expiresAt }
+ * Disabled unless TOKEN_ISSUER_KEY is configured; requests must send it in the x-issuer-key header
+ */
+app.post('/auth/token', express.json(), (req, res) => {
+    if (!CONFIG.TOKEN_ISSUER_KEY) {
+        return res.status(404).json({ error: 'token_issuer_disabled' });
+    }
+    if (req.get('x-issuer-key') !== CONFIG.TOKEN_ISSUER_KEY) {
+        console.warn(`[Security] Rejected token request from ${req.ip}`);
+        return res.status(403).json({ error: 'forbidden' });
+    }
+    
+    const odId = req.body && req.body.odId;
+    if (!odId || typeof odId !== 'string' || odId.length > 64) {
+        return res.status(400).json({ error: 'invalid_odId' });
+    }
+    
+    res.json(issueSessionToken(odId));
+});
+
+/**
+ * Debug view of rate limit buckets - requires the GM password in the x-gm-password header
+ */
+app.get('/debug/rate-limits', (req, res) => {
+    if (!CONFIG.GM_PASSWORD || req.get('x-gm-password') !== CONFIG.GM_PASSWORD) {
+        console.warn(`[Security] Rejected rate limit debug request from ${req.ip}`);
+        return res.status(403).json({ error: 'forbidden' });
+    }
+    res.json(getRateLimitState());
+});
+
+/**
+ * Combat journal timeline for a player or monster - requires the GM password in the x-gm-password header
+ * GET /debug/combat-log?odId=&monsterId=&mapId=&type=attack,kill&since=&until=&limit=
+ */
+app.get('/debug/combat-log', async (req, res) => {
+    if (!CONFIG.GM_PASSWORD || req.get('x-gm-password') !== CONFIG.GM_PASSWORD) {
+        console.warn(`[Security] Rejected combat log request from ${req.ip}`);
+        return res.status(403).json({ error: 'forbidden' });
+    }
+    const { odId, monsterId, mapId, type, since, until, limit } = req.query;
+    try {
+        const entries = await queryCombatJournal({
+            odId, monsterId, mapId,
+            types: type ? String(type).split(',') : null,
+            since: since ? Number(since) : null,
+            until: until ? Number(until) : null,
+            limit: limit ? Number(limit) : null
+        });
+        res.json({ count: entries.length, entries });
+    } catch (e) {
+        console.error(`[Server] Combat log query failed: ${e.message}`);
+        res.status(500).json({ error: 'query_failed' });
+    }
+});
+
+/**
+ * Item provenance records and flags - requires the GM password in the x-gm-password header
+ * GET /debug/item-provenance?provenanceId= | ?itemId=<ground item id> | ?odId=   (no filter: all flags)
+ */
+app.get('/debug/item-provenance', (req, res) => {
+    if (!CONFIG.GM_PASSWORD || req.get('x-gm-password') !== CONFIG.GM_PASSWORD) {
+        console.warn(`[Security] Rejected item provenance request from ${req.ip}`);
+        return res.status(403).json({ error: 'forbidden' });
+    }
+    const { provenanceId, itemId, odId } = req.query;
+    res.json(getProvenanceReport({ provenanceId, groundItemId: itemId, odId }));
+});
+
+/**
+ * Stored player reports - requires the GM password in the x-gm-password header
+ * GET /debug/chat-reports?odId=  (reports against or by that character)
+ */
+app.get('/debug/chat-reports', (req, res) => {
+    if (!CONFIG.GM_PASSWORD || req.get('x-gm-password') !== CONFIG.GM_PASSWORD) {
+        console.warn(`[Security] Rejected chat report request from ${req.ip}`);
+        return res.status(403).json({ error: 'forbidden' });
+    }
+    const { odId } = req.query;
+    const reports = odId ? chatReports.filter(report => report.targetOdId === odId || report.reporterId === odId) : chatReports;
+    res.json({ count: reports.length, reports, mutes: chatMutes });
+});
+
 // Cleanup inactive players periodically
 setInterval(() => {
     const now = Date.now();
@@ -2077,26 +6771,46 @@ setInterval(() => {
             }
         }
         // Clean up empty maps - clear ALL map data when no players remain
-        // This ensures fresh monster initialization with latest client spawn logic
-        // Pending respawn timers safely check for mapMonsters[mapId] before acting
-        if (Object.keys(maps[mapId]).length === 0) {
-            delete maps[mapId];
-            if (mapMonsters[mapId]) {
-                delete mapMonsters[mapId];
-                delete mapSpawnData[mapId];
-                console.log(`[Server] Cleaned up empty map and monster data: ${mapId}`);
-            }
-            // Clean up ground item tracking
-            if (mapGroundItems[mapId]) {
-                delete mapGroundItems[mapId];
-            }
-        }
+        cleanupEmptyMap(mapId);
     }
+    prunePartyLoot();
+    prunePartyInvites();
+    pruneIpRateBuckets();
 }, 10000); // Check every 10 seconds
 
+// Despawn ground items past their lifetime
+setInterval(expireGroundItems, 5000);
+
+// Persist the EXP ledger periodically and on shutdown
+setInterval(saveExpLedger, LEVELING_CONFIG.saveInterval);
+setInterval(flushCombatJournal, COMBAT_JOURNAL_CONFIG.flushInterval);
+setInterval(saveItemLedger, PROVENANCE_CONFIG.saveInterval);
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        saveExpLedger();
+        saveItemLedger(true);
+        flushCombatJournal();
+        process.exit(0);
+    });
+}
+
+// Reload loot tables and the chat filter on SIGHUP (e.g. `kill -HUP <pid>` after editing data/*.json)
+process.on('SIGHUP', () => {
+    reloadLootTables();
+    reloadChatFilter();
+});
+
 const PORT = process.env.PORT || 3001;
 server.listen(PORT, '0.0.0.0', () => {
     console.log(`[Server] BennSauce Game Server running on port ${PORT}`);
+    if (!CONFIG.REQUIRE_SESSION_TOKENS) {
+        console.warn('[Security] SESSION_SECRET and TOKEN_ISSUER_KEY not set - session tokens are not checked (development only)');
+    } else if (!process.env.SESSION_SECRET) {
+        console.warn('[Security] SESSION_SECRET not set - using a random secret, tokens will not survive restarts');
+    }
+    if (!CONFIG.TOKEN_ISSUER_KEY) {
+        console.log('[Server] TOKEN_ISSUER_KEY not set - /auth/token is disabled');
+    }
 });
 
 // ====================================================